@@ -1,6 +1,8 @@
 import express from 'express';
 import path from 'path';
 import {fileURLToPath} from 'url';
+import {createScoresRouter} from './server/scores.js';
+import {attachMultiplayer} from './server/multiplayer.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -13,10 +15,24 @@ const port = 8000
 
 app.use("/src", express.static(__dirname + "/src"));
 
+// local copy of three.js so the game also runs offline (mapped to "three" in index.html)
+app.use("/three", express.static(path.join(__dirname, "node_modules", "three", "build")));
+
+// shared high scores (stored in data/scores.json)
+app.use("/api", createScoresRouter(path.join(__dirname, "data", "scores.json"), path.join(__dirname, "game-modes.json")));
+
+// game mode definitions (edit the file to add drills)
+app.get('/game-modes.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'game-modes.json'));
+  })
+
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '/index.html'));
   })
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
 console.log(`Example app listening on port ${port}`)
-})  
\ No newline at end of file
+})
+
+// online matches - open http://localhost:8000/?room=<code> in two browsers
+attachMultiplayer(server, { modesFile: path.join(__dirname, "game-modes.json") })  
\ No newline at end of file
@@ -0,0 +1,18 @@
+import fs from 'fs';
+import { parseModeDefinitions } from '../src/modes.js';
+
+// ========================
+// GAME MODES (SERVER SIDE)
+// ========================
+//
+// The shared scores API and the online rooms both check against the modes in
+// game-modes.json, using the same parser as the game (src/modes.js).
+
+export function loadModes(modesFile) {
+    /*
+    read and check game-modes.json, returns { key: mode }
+    read on every call so edits apply without a restart; throws if the file is missing or invalid
+    */
+
+    return parseModeDefinitions(JSON.parse(fs.readFileSync(modesFile, 'utf8')));
+}
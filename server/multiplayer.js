@@ -0,0 +1,192 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { isDifficulty, DEFAULT_DIFFICULTY } from '../src/difficulty.js';
+import { classifyShotZone, zoneInList, pointsForZone } from '../src/zones.js';
+import { loadModes } from './modes.js';
+import { callShot, HOOPS } from './shots.js';
+import { FREE_THROW_POINTS } from '../src/freethrows.js';
+
+// ========================
+// ONLINE MULTIPLAYER ROOMS
+// ========================
+//
+// Two-player rooms for online matches. Each client simulates its own shots and
+// sends the launch (so the opponent can replay the same flight with the shared
+// physics) and then its result. The server keeps the score: it works out a
+// shot's points from the release point and the shooter's game mode (zone
+// restrictions and point values from game-modes.json), flies the launch itself
+// to call it made or missed (server/shots.js), and counts its own call once the
+// shooter reports the shot over - a result that disagrees is overruled.
+
+const ROOM_PATTERN = /^[A-Za-z0-9-]{1,20}$/;
+const SIDES = ['home', 'away'];
+const MAX_MESSAGE_BYTES = 4096;
+const RESULTS = ['made', 'missed'];
+
+function isVector(value) {
+    return value !== null && typeof value === 'object' &&
+        ['x', 'y', 'z'].every(key => typeof value[key] === 'number' && Number.isFinite(value[key]));
+}
+
+function shotPoints(origin, mode) {
+    /*
+    points a make from origin is worth in the mode - shots go at the nearest basket
+    like in the game, and a shot from outside the mode's allowed zones doesn't count
+    (free throw modes always give 1)
+    */
+
+    if (mode.freeThrow) return FREE_THROW_POINTS;
+
+    const basket = (origin.x < 0 ? HOOPS.left : HOOPS.right).rim.center;
+    const zone = classifyShotZone(origin, basket);
+    if (mode.allowedZones && !zoneInList(zone, mode.allowedZones)) return 0;
+    return pointsForZone(zone, mode.pointsPerZone);
+}
+
+function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+export function attachMultiplayer(server, options = {}) {
+    /*
+    accept WebSocket connections on the given http server
+    clients connect to <path>?room=<code> and are seated home, then away
+    options: { path, modesFile } - modesFile is the game-modes.json shots are scored with,
+    read once when a room opens (a broken file leaves the room unable to score shots)
+    returns the WebSocketServer (mostly so it can be closed)
+    */
+
+    const wss = new WebSocketServer({ server, path: options.path || '/ws', maxPayload: MAX_MESSAGE_BYTES });
+    const rooms = new Map();
+
+    function readModes() {
+        try {
+            return loadModes(options.modesFile);
+        } catch (error) {
+            console.error('Online rooms can\'t read the game modes:', error.message);
+            return {};
+        }
+    }
+
+    function getRoom(code) {
+        if (!rooms.has(code)) {
+            rooms.set(code, { players: { home: null, away: null }, scores: { home: 0, away: 0 }, modes: readModes() });
+        }
+        return rooms.get(code);
+    }
+
+    function broadcast(room, message) {
+        SIDES.forEach(side => {
+            if (room.players[side]) send(room.players[side].socket, message);
+        });
+    }
+
+    function handleMessage(room, player, message) {
+        const opponentSide = player.side === 'home' ? 'away' : 'home';
+        const opponent = room.players[opponentSide];
+
+        if (message.type === 'shot') {
+            // relay the launch so the opponent can simulate the same flight
+            if (!isVector(message.origin) || !isVector(message.velocity)) return;
+
+            const mode = Object.hasOwn(room.modes, message.mode) ? room.modes[message.mode] : null;
+            if (!mode) {
+                send(player.socket, { type: 'error', message: 'Shot not counted - unknown game mode' });
+                return;
+            }
+
+            const difficulty = isDifficulty(message.difficulty) ? message.difficulty : DEFAULT_DIFFICULTY;
+            player.shot = {
+                points: shotPoints(message.origin, mode),
+                result: callShot({ origin: message.origin, velocity: message.velocity, spin: isVector(message.spin) ? message.spin : null }, difficulty)
+            };
+            if (opponent) {
+                send(opponent.socket, {
+                    type: 'shot',
+                    side: player.side,
+                    origin: message.origin,
+                    velocity: message.velocity,
+                    spin: isVector(message.spin) ? message.spin : null,
+                    // the shooter's difficulty sets the air resistance the flight is simulated with
+                    difficulty: difficulty
+                });
+            }
+        } else if (message.type === 'result') {
+            // one result per shot - the server's own call counts, worth what it worked out at launch
+            if (!player.shot || !RESULTS.includes(message.result)) return;
+
+            const { result, points } = player.shot;
+            player.shot = null;
+            if (message.result !== result) {
+                send(player.socket, { type: 'error', message: `The server saw that shot ${result === 'made' ? 'go in' : 'miss'}` });
+            }
+
+            const scored = result === 'made' ? points : 0;
+            room.scores[player.side] += scored;
+
+            broadcast(room, {
+                type: 'score',
+                side: player.side,
+                result: result,
+                points: scored,
+                scores: room.scores
+            });
+        }
+    }
+
+    wss.on('connection', (socket, request) => {
+        const code = new URL(request.url, 'http://localhost').searchParams.get('room') || '';
+        if (!ROOM_PATTERN.test(code)) {
+            send(socket, { type: 'error', message: 'Invalid room code' });
+            socket.close();
+            return;
+        }
+
+        const room = getRoom(code);
+        const side = SIDES.find(s => !room.players[s]);
+        if (!side) {
+            send(socket, { type: 'error', message: 'Room is full' });
+            socket.close();
+            return;
+        }
+
+        // a fresh match starts whenever someone sits down in an empty room
+        if (!room.players.home && !room.players.away) {
+            room.scores = { home: 0, away: 0 };
+        }
+
+        const player = { socket, side, shot: null }; // shot: { points, result } of the launch in flight
+        room.players[side] = player;
+
+        const opponentSide = side === 'home' ? 'away' : 'home';
+        send(socket, { type: 'welcome', room: code, side, scores: room.scores, opponentConnected: !!room.players[opponentSide] });
+        if (room.players[opponentSide]) {
+            send(room.players[opponentSide].socket, { type: 'opponent-joined' });
+        }
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return; // ignore anything that isn't JSON
+            }
+            if (message && typeof message === 'object') {
+                handleMessage(room, player, message);
+            }
+        });
+
+        socket.on('close', () => {
+            room.players[side] = null;
+
+            if (room.players[opponentSide]) {
+                send(room.players[opponentSide].socket, { type: 'opponent-left' });
+            } else {
+                rooms.delete(code);
+            }
+        });
+    });
+
+    return wss;
+}
@@ -0,0 +1,127 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { loadLeaderboard, addLeaderboardEntry, LEADERBOARD_SIZE } from '../src/leaderboard.js';
+import { isDifficulty } from '../src/difficulty.js';
+import { loadModes } from './modes.js';
+
+// =================
+// SHARED SCORES API
+// =================
+//
+// One leaderboard per game mode and difficulty shared by everyone on the LAN. The tables are
+// kept in a local JSON file and use the same ranking rules as the in-browser
+// leaderboards (src/leaderboard.js) through a small file-backed storage object.
+// Only the modes listed in game-modes.json get a table.
+
+const INITIALS_PATTERN = /^[A-Za-z0-9?]{1,3}$/; // "???" is what a skipped name entry saves as
+const MAX_SCORE = 10000;
+
+function createFileStorage(filePath) {
+    /*
+    localStorage-like getItem/setItem backed by a single JSON file
+    */
+
+    function readAll() {
+        // no file yet means no scores yet, anything else (unreadable, corrupt) is an error
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+        return JSON.parse(text);
+    }
+
+    // values arrive as JSON strings (like localStorage) but are kept as plain JSON in the file
+    return {
+        // throws if the file exists but can't be used - the leaderboard module
+        // treats storage errors as an empty table, so routes call this first
+        check() {
+            readAll();
+        },
+        getItem(key) {
+            const all = readAll();
+            return key in all ? JSON.stringify(all[key]) : null;
+        },
+        setItem(key, value) {
+            const all = readAll();
+            all[key] = JSON.parse(value);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+            // write to a temp file first so a crash never leaves a half-written file
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(all, null, 2));
+            fs.renameSync(tempPath, filePath);
+        }
+    };
+}
+
+function validateScore(body, modeKeys) {
+    /*
+    check a submitted score, returns an error message or null
+    */
+
+    if (!body || typeof body !== 'object') return 'Request body must be a JSON object';
+    if (!modeKeys.includes(body.mode)) return 'Unknown mode';
+    if (!isDifficulty(body.difficulty)) return 'Unknown difficulty';
+    if (typeof body.initials !== 'string' || !INITIALS_PATTERN.test(body.initials)) return 'Initials must be 1-3 letters or digits';
+    if (!Number.isInteger(body.score) || body.score < 0 || body.score > MAX_SCORE) return `Score must be an integer between 0 and ${MAX_SCORE}`;
+    if (!Number.isInteger(body.accuracy) || body.accuracy < 0 || body.accuracy > 100) return 'Accuracy must be an integer between 0 and 100';
+    return null;
+}
+
+export function createScoresRouter(dataFile, modesFile) {
+    /*
+    GET  /api/scores?mode=timed-challenge&difficulty=pro -> { mode, difficulty, entries }
+    POST /api/scores { mode, difficulty, initials, score, accuracy } -> { mode, difficulty, entries, rank }
+    a scores or modes file that can't be read fails the request with a 500 and is left as it is
+    */
+
+    const storage = createFileStorage(dataFile);
+    const router = express.Router();
+
+    router.use(express.json({ limit: '4kb' }));
+
+    router.get('/scores', (req, res) => {
+        const mode = req.query.mode;
+        if (typeof mode !== 'string') {
+            return res.status(400).json({ error: 'Query parameter "mode" is required' });
+        }
+        if (!Object.keys(loadModes(modesFile)).includes(mode)) {
+            return res.status(400).json({ error: 'Unknown mode' });
+        }
+        const difficulty = req.query.difficulty;
+        if (!isDifficulty(difficulty)) {
+            return res.status(400).json({ error: 'Query parameter "difficulty" must be a difficulty level' });
+        }
+
+        storage.check();
+        res.json({ mode, difficulty, size: LEADERBOARD_SIZE, entries: loadLeaderboard(storage, mode, difficulty) });
+    });
+
+    router.post('/scores', (req, res) => {
+        const error = validateScore(req.body, Object.keys(loadModes(modesFile)));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        storage.check();
+        const { mode, difficulty, initials, score, accuracy } = req.body;
+        // a failed write must not report a rank for a score that was never saved
+        const result = addLeaderboardEntry(storage, mode, difficulty, { initials, score, accuracy }, { throwOnSaveError: true });
+        res.status(201).json({ mode, difficulty, entries: result.entries, rank: result.rank });
+    });
+
+    // malformed JSON bodies, anything else is a server-side problem
+    router.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+            return res.status(400).json({ error: 'Malformed request body' });
+        }
+        console.error('Scores API error:', err);
+        res.status(500).json({ error: 'Scores are unavailable right now' });
+    });
+
+    return router;
+}
@@ -0,0 +1,94 @@
+import { stepBall } from '../src/physics.js';
+import { DIFFICULTY_LEVELS } from '../src/difficulty.js';
+
+// =====================
+// SERVER-SIDE SHOT CALL
+// =====================
+//
+// Flies a relayed launch with the same physics step as the game and calls it
+// made or missed the way hw6.js does (a ball dropping through the rim plane
+// close enough to the rim centre is a make, a ball that dies or lands far from
+// both rims is a miss), so an online match doesn't have to trust the shooter.
+
+const PHYSICS_TIMESTEP = 1 / 240;
+const MAX_FLIGHT_TIME = 20; // seconds before a ball that never settles counts as a miss
+
+const SCORING_HEIGHT_WINDOW = 0.35; // how close to the rim plane a make is checked (m)
+const MISS_DISTANCE = 3; // a floor bounce further than this from both rims is a miss (m)
+const HISTORY_LENGTH = 10; // recent positions kept, like hw6.js's ballPositionHistory
+
+// the hoops as hw6.js builds them (rim torus and backboard box)
+export const HOOPS = {
+    left: {
+        rim: { center: { x: -13.85, y: 6, z: 0 }, radius: 0.6, tubeRadius: 0.03 },
+        backboard: { min: { x: -14.55, y: 5.4, z: -1.3 }, max: { x: -14.45, y: 7.2, z: 1.3 } }
+    },
+    right: {
+        rim: { center: { x: 13.85, y: 6, z: 0 }, radius: 0.6, tubeRadius: 0.03 },
+        backboard: { min: { x: 14.45, y: 5.4, z: -1.3 }, max: { x: 14.55, y: 7.2, z: 1.3 } }
+    }
+};
+
+const WORLD = {
+    floorY: 0.45,
+    ballRadius: 0.35,
+    courtBounds: { minX: -14.5, maxX: 14.5, minZ: -7, maxZ: 7 },
+    hoops: HOOPS,
+    rimRestitution: 0.6,
+    backboardRestitution: 0.65,
+    contactFriction: 0.85
+};
+
+function distanceBetween(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+}
+
+function throughRim(history, tolerance) {
+    /*
+    check if the latest position drops through either rim (downward over the last three steps)
+    */
+
+    const position = history[history.length - 1];
+    const rimHeight = HOOPS.right.rim.center.y;
+    if (Math.abs(position.y - rimHeight) >= SCORING_HEIGHT_WINDOW || history.length < 3) return false;
+
+    const nearRim = [HOOPS.left, HOOPS.right].some(hoop =>
+        Math.hypot(position.x - hoop.rim.center.x, position.z - hoop.rim.center.z) < tolerance);
+    const [evenEarlier, previous] = history.slice(-3);
+
+    return nearRim && position.y < previous.y && previous.y < evenEarlier.y;
+}
+
+export function callShot(launch, difficultyKey) {
+    /*
+    simulate a launch { origin, velocity, spin } at a difficulty (air resistance and rim tolerance)
+    returns 'made' or 'missed'
+    */
+
+    const level = DIFFICULTY_LEVELS[difficultyKey];
+    const world = { ...WORLD, airResistance: level.airResistance };
+
+    let state = {
+        position: { ...launch.origin },
+        velocity: { ...launch.velocity },
+        spin: launch.spin ? { ...launch.spin } : { x: 0, y: 0, z: 0 }
+    };
+    const history = [];
+
+    for (let time = 0; time < MAX_FLIGHT_TIME; time += PHYSICS_TIMESTEP) {
+        const step = stepBall(state, PHYSICS_TIMESTEP, world);
+        state = step.state;
+
+        if (step.contacts.floor) {
+            const farFromRims = distanceBetween(state.position, HOOPS.left.rim.center) > MISS_DISTANCE &&
+                distanceBetween(state.position, HOOPS.right.rim.center) > MISS_DISTANCE;
+            if ((history.length > 5 && farFromRims) || step.atRest) return 'missed';
+        }
+
+        history.push(state.position);
+        if (history.length > HISTORY_LENGTH) history.shift();
+
+        if (throughRim(history, level.scoringTolerance)) return 'made';
+    }
+    return 'missed';
+}
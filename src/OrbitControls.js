@@ -1,10 +1,13 @@
-const EventDispatcher = THREE.EventDispatcher;
-const MOUSE = THREE.MOUSE;
-const Quaternion = THREE.Quaternion;
-const Spherical = THREE.Spherical;
-const TOUCH = THREE.TOUCH;
-const Vector2 = THREE.Vector2;
-const Vector3 = THREE.Vector3;
+import {
+	EventDispatcher,
+	MOUSE,
+	Quaternion,
+	Spherical,
+	TOUCH,
+	Vector2,
+	Vector3
+} from 'three';
+
 // This set of controls performs orbiting, dollying (zooming), and panning.
 // Unlike TrackballControls, it maintains the "up" direction object.up (+Y by default).
 //
@@ -0,0 +1,74 @@
+// =================
+// DIFFICULTY LEVELS
+// =================
+//
+// Rookie, Pro and Legend presets that tune the shot assistance and randomness
+// together. The chosen level is kept in localStorage; like the leaderboards,
+// the storage object is passed in so this module has no DOM dependency.
+
+const STORAGE_KEY = 'basketball-difficulty';
+export const DEFAULT_DIFFICULTY = 'rookie';
+
+export const DIFFICULTY_LEVELS = {
+    'rookie': {
+        name: 'Rookie',
+        description: 'Full aim assist, forgiving release and rim',
+        assist: { closeRange: true, heightBoost: 1 }, // launch help (see physics.js)
+        manualAimOnly: false,
+        releaseError: 1, // multiplier for the shot meter's speed/direction error
+        perfectWindow: 4, // +/- % of the perfect release window
+        scoringTolerance: 0.45, // how far from the rim centre a ball may pass and still count (m)
+        airResistance: 0.018
+    },
+    'pro': {
+        name: 'Pro',
+        description: 'No close-range help, tighter release and rim',
+        assist: { closeRange: false, heightBoost: 0.95 },
+        manualAimOnly: false,
+        releaseError: 1.5,
+        perfectWindow: 3,
+        scoringTolerance: 0.4,
+        airResistance: 0.025
+    },
+    'legend': {
+        name: 'Legend',
+        description: 'Manual aim only, big release error, tight rim',
+        assist: { closeRange: false, heightBoost: 0.9 },
+        manualAimOnly: true,
+        releaseError: 2,
+        perfectWindow: 2,
+        scoringTolerance: 0.35,
+        airResistance: 0.03
+    }
+};
+
+export function isDifficulty(key) {
+    return Object.keys(DIFFICULTY_LEVELS).includes(key);
+}
+
+export function loadDifficulty(storage) {
+    /*
+    read the saved difficulty key, the default if missing or unknown
+    */
+
+    try {
+        const saved = storage.getItem(STORAGE_KEY);
+        return isDifficulty(saved) ? saved : DEFAULT_DIFFICULTY;
+    } catch (error) {
+        return DEFAULT_DIFFICULTY;
+    }
+}
+
+export function saveDifficulty(storage, key) {
+    /*
+    remember the chosen difficulty (storage errors are ignored)
+    */
+
+    if (!isDifficulty(key)) return;
+
+    try {
+        storage.setItem(STORAGE_KEY, key);
+    } catch (error) {
+        // private browsing etc. - the level just isn't remembered
+    }
+}
@@ -0,0 +1,38 @@
+// ===================
+// FREE THROW ROUTINES
+// ===================
+//
+// Progress through the free throw drills of game-modes.json ("streak": make
+// `target` in a row, "best-of": shoot `shots` and count the makes). Pure data
+// in and out - hw6.js places the ball and shows the messages.
+
+// a free throw is worth 1 point whatever the mode file says about zones
+export const FREE_THROW_POINTS = 1;
+
+export function createFreeThrowRoutine() {
+    return { taken: 0, made: 0, streak: 0, bestStreak: 0, complete: false };
+}
+
+export function recordFreeThrow(routine, settings, made) {
+    /*
+    count one free throw of a routine, returns the updated routine
+    settings: the mode's freeThrow { routine, target } or { routine, shots }
+    a complete routine is returned unchanged
+    */
+
+    if (routine.complete) return routine;
+
+    const next = { ...routine, taken: routine.taken + 1 };
+    if (made) {
+        next.made++;
+        next.streak++;
+        next.bestStreak = Math.max(next.bestStreak, next.streak);
+    } else {
+        next.streak = 0;
+    }
+
+    next.complete = settings.routine === 'streak' ?
+        next.streak >= settings.target :
+        next.taken >= settings.shots;
+    return next;
+}
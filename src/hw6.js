@@ -1,4 +1,17 @@
+import * as THREE from 'three'
 import { OrbitControls } from './OrbitControls.js'
+import { computeLaunchVelocity, computeLaunchSpin, applyReleaseError, stepBall, findIdealPower } from './physics.js'
+import { random, cosmeticRandom, seedFromQuery, getSeed } from './random.js'
+import { serializeSession, parseSession } from './session.js'
+import { loadLeaderboard, qualifiesForLeaderboard, addLeaderboardEntry, sanitizeInitials } from './leaderboard.js'
+import { roomFromQuery, connectToRoom } from './multiplayer.js'
+import { SHOT_ZONES, classifyShotZone, zoneInList, zoneDisplayName, pointsForZone, zoneStatistics } from './zones.js'
+import { parseModeDefinitions, evaluateModeOutcome } from './modes.js'
+import { DIFFICULTY_LEVELS, loadDifficulty, saveDifficulty } from './difficulty.js'
+import { FREE_THROW_POINTS, createFreeThrowRoutine, recordFreeThrow } from './freethrows.js'
+
+// seed the game's random source before anything random is generated (?seed=1234 to reproduce a session)
+seedFromQuery(window.location.search);
 
 // ===================
 // CORE THREE.JS SETUP
@@ -14,10 +27,7 @@ const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerH
 const courtWidth = 30;
 const courtHeight = courtWidth / 2; // 2:1 ratio
 const courtDepth = 0.1;
-
-// physics constants
-const GRAVITY = -9.8;  // gravity on earth is around -9.8 m/s^2
-const AIR_RESISTANCE = 0.018; // reduced air resistance for better shots
+const freeThrowDistance = 5.8; // distance from basket to free throw line
 
 // ========================================
 // BASKETBALL MOVEMENT AND PHYSICS SETTINGS
@@ -46,6 +56,30 @@ const basketballMovement = {
         step: 5,
         default: 50
     },
+    // hold-to-charge shot meter: hold SPACE to fill, the level at release is the shot power
+    shotMeter: {
+        charging: false,
+        level: 0, // current fill (0-100)
+        idealPower: null, // power that drops the ball closest to the rim centre from here (found when charging starts)
+        direction: 1, // fills up, then drains back down if held too long
+        fillRate: 90, // % per second
+        perfectWindow: 4, // +/- % around the ideal power that counts as a perfect release (set by the difficulty)
+        tolerance: 25, // % outside the window at which the release is as bad as it gets
+        maxSpeedError: 0.06, // launch speed error of the worst release (fraction)
+        maxAngleError: 4 // direction error of the worst release (degrees)
+    },
+    // manual aim settings (degrees) - assisted aim is the "easy" setting
+    aim: {
+        manual: false,
+        horizontalOffset: 0, // left (-) / right (+) of the basket
+        horizontalStep: 0.5,
+        horizontalLimit: 10,
+        releaseAngle: 60, // launch angle above the floor
+        angleStep: 1,
+        minAngle: 40,
+        maxAngle: 80,
+        reticle: null // mesh showing where the shot is aimed
+    },
     // shooting mechanics settings
     shooting: {
         active: false, // is the ball in the air
@@ -55,9 +89,16 @@ const basketballMovement = {
             z: 0
         },
         baseVelocity: 13.8,
-        lastPosition: null, // for collision detection
+        position: null, // simulated ball position for the current physics step
+        lastPosition: null, // simulated position at the previous step (for interpolation)
         floorY: 0.35 + 0.1,
-        spinFactor: 0.035
+        spin: { x: 0, y: 0, z: 0 }, // angular velocity of the ball in flight (rad/s)
+        spinType: 'backspin', // chosen with B: backspin, none or sidespin
+        spinRates: { backspin: 12, sidespin: 10 }, // rad/s at release
+        ballRadius: 0.35,
+        rimRestitution: 0.6, // energy kept after hitting the rim
+        backboardRestitution: 0.65, // energy kept after hitting the backboard
+        contactFriction: 0.85 // tangential speed kept on rim/backboard contact
     }
 };
 
@@ -69,19 +110,97 @@ const gameStats = {
     shotsMade: 0,
     points: 0,
     accuracy: 0,
+    turnovers: 0, // shot clock violations
+    shotHistory: [], // every attempt { x, z, basketX, zone, result } for the shot chart
     lastShotResult: null, // made/missed/null
     shotFeedbackTimer: null,
     lastShotPosition: null // to track where the shot was taken from
 };
 
-let lastStatsValues = { attempts: -1, made: -1, accuracy: -1, points: -1 };
+let lastStatsValues = { attempts: -1, made: -1, accuracy: -1, points: -1, turnovers: -1 };
+
+// 24 second shot clock - starts with the first attempt of a mode, resets on every attempt
+// and only runs while the ball is in the player's hands (only in modes with possessions
+// or a game clock, see modeUsesShotClock)
+const shotClock = {
+    duration: 24,
+    remaining: 24,
+    running: false
+};
+
+// every attempt of the session (origin, power, target, result...) for export
+const sessionLog = {
+    startedAt: Date.now(),
+    attempts: []
+};
+
+// every shot is recorded as a time series of ball position, orientation (quaternion) and velocity
+const MAX_SHOT_REPLAYS = 20;
+const shotReplays = []; // most recent shot last, each { attempt, duration, frames }
+let activeShotReplay = null; // the recording for the shot currently in flight
+
+const replayViewer = {
+    active: false,
+    index: -1, // which entry of shotReplays is showing
+    time: 0, // playback position in seconds
+    playing: true,
+    speedIndex: 3,
+    speeds: [0.1, 0.25, 0.5, 1], // slow-motion steps
+    scrubStep: 0.05, // seconds per arrow key press
+    savedBall: null, // live ball position/orientation to restore afterwards
+    savedTimerRemaining: null // paused game timer
+};
 
 // init global tracking variables for shot detection
 window.ballPendingScorekeeperDecision = false;
 window.shotHasBeenMade = false;
 window.missTimeoutId = null;
+window.missDueAt = null; // Date.now() when the pending miss is recorded
+window.scoreResetTimeoutId = null;
 window.ballPositionHistory = [];
 
+// rim and backboard collision shapes for each hoop (filled in by createBasketballHoop)
+const hoopColliders = {
+    left: null,
+    right: null
+};
+
+// Rookie / Pro / Legend (see difficulty.js), remembered between visits
+const difficulty = {
+    current: loadDifficulty(window.localStorage)
+};
+
+// static world description handed to the headless physics step
+const physicsWorld = {
+    floorY: basketballMovement.shooting.floorY,
+    ballRadius: basketballMovement.shooting.ballRadius,
+    courtBounds: basketballMovement.courtBounds,
+    hoops: hoopColliders,
+    rimRestitution: basketballMovement.shooting.rimRestitution,
+    backboardRestitution: basketballMovement.shooting.backboardRestitution,
+    contactFriction: basketballMovement.shooting.contactFriction,
+    airResistance: DIFFICULTY_LEVELS[difficulty.current].airResistance
+};
+
+// fixed physics timestep - shots are simulated in 240Hz substeps regardless of frame rate
+const PHYSICS_TIMESTEP = 1 / 240;
+
+const SPIN_NAMES = { 'backspin': 'Backspin', 'none': 'No Spin', 'sidespin': 'Sidespin' };
+
+// function keys that switch game mode, in the order of game-modes.json - F5 (reload),
+// F11 (full screen) and F12 (developer tools) stay with the browser
+const MODE_SHORTCUT_KEYS = ['F1', 'F2', 'F3', 'F4', 'F6', 'F7', 'F8', 'F9', 'F10'];
+
+// scratch objects for turning the ball by its spin
+const spinAxis = new THREE.Vector3();
+const spinRotation = new THREE.Quaternion();
+
+// scratch objects for interpolating the ball orientation during a replay
+const replayFromQuaternion = new THREE.Quaternion();
+const replayToQuaternion = new THREE.Quaternion();
+const MAX_FRAME_TIME = 0.25; // avoid a spiral of substeps after a long stall
+let physicsAccumulator = 0;
+
 // track time for physics calculations
 let lastTime = Date.now();
 
@@ -200,7 +319,7 @@ function createBasketballCourt() {
         draw a single parquet board with wood effect
         */
 
-        const colorShift = Math.random() * 12 - 6;
+        const colorShift = random() * 12 - 6;
         const r = 198 + colorShift;
         const g = 134 + colorShift;
         const b = 66 + colorShift;
@@ -266,6 +385,7 @@ function createBasketballCourt() {
     createThreePointLines(lineMaterial, lineHeight);
     createFreeThrowAreas(lineMaterial, lineHeight);
     createKeyAreas(lineMaterial, lineHeight);
+    createAroundTheWorldSpots(lineHeight);
 }
 
 // ===============================
@@ -410,7 +530,6 @@ function createFreeThrowAreas(material, height) {
     create the free throw areas of the basketball court
     */
 
-    const freeThrowDistance = 5.8; // distance from basket to free throw line
     const keyWidth = 3.6;
 
     function createFreeThrowLine(basketX) {
@@ -485,6 +604,49 @@ function createKeyArea(material, height, basketX, width, length, lineWidth) {
     scene.add(keyEnd);
 }
 
+function createAroundTheWorldSpots(height) {
+    /*
+    create the numbered shooting spot decals for Around the World
+    (hidden until the mode is selected)
+    */
+
+    AROUND_THE_WORLD_SPOTS.forEach((spot, index) => {
+        // numbered circle drawn on a canvas
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+
+        ctx.beginPath();
+        ctx.arc(64, 64, 58, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.fill();
+        ctx.lineWidth = 8;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.font = 'bold 64px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(index + 1), 64, 68);
+
+        const decalMaterial = new THREE.MeshBasicMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            color: 0x888888,
+            transparent: true,
+            depthWrite: false
+        });
+        const decal = new THREE.Mesh(new THREE.CircleGeometry(aroundTheWorld.spotRadius, 48), decalMaterial);
+        decal.rotation.x = -degrees_to_radians(90);
+        decal.position.set(spot.x, height + 0.01, spot.z);
+        decal.visible = false;
+        scene.add(decal);
+
+        aroundTheWorld.spotDecals.push(decal);
+    });
+}
+
 // ================
 // BASKETBALL HOOPS
 // ================
@@ -661,6 +823,27 @@ function createBasketballHoop(x, z, direction) {
 
     scene.add(rimGroup);
 
+    // register the rim torus and backboard box for ball collisions
+    hoopColliders[direction > 0 ? 'left' : 'right'] = {
+        rim: {
+            center: { x: rimGroup.position.x, y: rimHeight, z: z },
+            radius: rimRadius,
+            tubeRadius: rimTubeRadius
+        },
+        backboard: {
+            min: {
+                x: x - backboardThickness / 2,
+                y: backboardFrameGroup.position.y - backboardHeight / 2,
+                z: z - backboardWidth / 2
+            },
+            max: {
+                x: x + backboardThickness / 2,
+                y: backboardFrameGroup.position.y + backboardHeight / 2,
+                z: z + backboardWidth / 2
+            }
+        }
+    };
+
     // net
     const net = createBasketballNet(
         x + direction * (backboardThickness / 2 + backboardToRimDistance),
@@ -1141,41 +1324,41 @@ function createBasketball() {
 
     // add realistic texture
     for (let i = 0; i < 2000; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const size = Math.random() * 1.5 + 0.5;
+        const x = random() * canvas.width;
+        const y = random() * canvas.height;
+        const size = random() * 1.5 + 0.5;
 
         ctx.beginPath();
         ctx.arc(x, y, size, 0, degrees_to_radians(360));
 
         // vary the shade and opacity for realism
-        const shade = Math.random() * 25 - 10;
-        const opacity = Math.random() * 0.3 + 0.1;
+        const shade = random() * 25 - 10;
+        const opacity = random() * 0.3 + 0.1;
         ctx.fillStyle = `rgba(${255 + shade}, ${102 + shade}, ${0 + Math.max(0, shade)}, ${opacity})`;
         ctx.fill();
     }
 
     // add darker patches
     for (let i = 0; i < 8; i++) {
-        const patchX = Math.random() * canvas.width;
-        const patchY = Math.random() * canvas.height;
-        const patchSize = Math.random() * 80 + 40;
+        const patchX = random() * canvas.width;
+        const patchY = random() * canvas.height;
+        const patchSize = random() * 80 + 40;
 
         ctx.beginPath();
         ctx.arc(patchX, patchY, patchSize, 0, degrees_to_radians(360));
-        ctx.fillStyle = `rgba(230, 85, 13, ${Math.random() * 0.15 + 0.05})`;
+        ctx.fillStyle = `rgba(230, 85, 13, ${random() * 0.15 + 0.05})`;
         ctx.fill();
     }
 
     // add subtle highlights
     for (let i = 0; i < 6; i++) {
-        const highlightX = Math.random() * canvas.width;
-        const highlightY = Math.random() * canvas.height;
-        const highlightSize = Math.random() * 60 + 30;
+        const highlightX = random() * canvas.width;
+        const highlightY = random() * canvas.height;
+        const highlightSize = random() * 60 + 30;
 
         ctx.beginPath();
         ctx.arc(highlightX, highlightY, highlightSize, 0, degrees_to_radians(360));
-        ctx.fillStyle = `rgba(255, 220, 180, ${Math.random() * 0.12 + 0.08})`;
+        ctx.fillStyle = `rgba(255, 220, 180, ${random() * 0.12 + 0.08})`;
         ctx.fill();
     }
 
@@ -1309,11 +1492,11 @@ function createBleachers() {
 
     // add some texture for plastic look
     for (let i = 0; i < 2000; i++) {
-        const x = Math.random() * seatCanvas.width;
-        const y = Math.random() * seatCanvas.height;
-        const size = Math.random() * 4 + 1;
+        const x = random() * seatCanvas.width;
+        const y = random() * seatCanvas.height;
+        const size = random() * 4 + 1;
 
-        seatCtx.fillStyle = `rgba(30, 30, 220, ${Math.random() * 0.3})`;
+        seatCtx.fillStyle = `rgba(30, 30, 220, ${random() * 0.3})`;
         seatCtx.fillRect(x, y, size, size);
     }
 
@@ -1335,11 +1518,11 @@ function createBleachers() {
 
     // add some texture for plastic look
     for (let i = 0; i < 2000; i++) {
-        const x = Math.random() * redSeatCanvas.width;
-        const y = Math.random() * redSeatCanvas.height;
-        const size = Math.random() * 4 + 1;
+        const x = random() * redSeatCanvas.width;
+        const y = random() * redSeatCanvas.height;
+        const size = random() * 4 + 1;
 
-        redSeatCtx.fillStyle = `rgba(220, 30, 30, ${Math.random() * 0.3})`;
+        redSeatCtx.fillStyle = `rgba(220, 30, 30, ${random() * 0.3})`;
         redSeatCtx.fillRect(x, y, size, size);
     }
 
@@ -1470,21 +1653,68 @@ function createScoreboard() {
     canvas.height = 512;
     const ctx = canvas.getContext('2d');
 
+    // what was drawn last, so the clocks only redraw the canvas when a value changes
+    let drawnScores = { home: 0, away: 0 };
+    let drawnClocks = { gameSeconds: null, shotSeconds: null, mode: null, period: null };
+
+    function readScoreboardClocks() {
+        /*
+        the whole seconds on the clock and shot clock (null when the mode has none),
+        the mode key and the period as they should appear right now
+        */
+
+        const mode = gameModes.modes[gameModes.current];
+        let gameSeconds = null;
+        if (mode.timeLimit) {
+            gameSeconds = gameModes.state === 'playing' ? Math.max(0, gameModes.timer.remaining) : mode.timeLimit;
+        }
+
+        return {
+            gameSeconds,
+            shotSeconds: modeUsesShotClock(mode) ? Math.ceil(shotClock.remaining) : null,
+            mode: gameModes.current,
+            period: gameModes.period
+        };
+    }
+
     // draw scoreboard content
     function updateScoreboardDisplay(homeScore = 0, awayScore = 0) {
+        drawnScores = { home: homeScore, away: awayScore };
+        const clocks = readScoreboardClocks();
+        drawnClocks = clocks;
+
+        const gameClock = clocks.gameSeconds === null ? '--:--' :
+            `${Math.floor(clocks.gameSeconds / 60)}:${(clocks.gameSeconds % 60).toString().padStart(2, '0')}`;
+
         // background
         ctx.fillStyle = '#000000';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+        // in head-to-head the sides show the players instead of the teams
+        const isHeadToHead = gameModes.modes[gameModes.current].twoPlayer;
+        const homeLabel = isHeadToHead ? headToHead.players[0].name.toUpperCase() : 'HOME';
+        const awayLabel = isHeadToHead ? headToHead.players[1].name.toUpperCase() : 'AWAY';
+
         // team names and scores
-        ctx.font = 'bold 80px Arial';
+        ctx.font = isHeadToHead ? 'bold 56px Arial' : 'bold 80px Arial';
         ctx.fillStyle = '#0000FF'; // home = blue
         ctx.textAlign = 'left';
-        ctx.fillText('HOME', 100, 120);
+        ctx.fillText(homeLabel, 100, 120);
 
         ctx.fillStyle = '#FF0000'; // away = red
         ctx.textAlign = 'right';
-        ctx.fillText('AWAY', canvas.width - 100, 120);
+        ctx.fillText(awayLabel, canvas.width - 100, 120);
+
+        // underline the player who has the ball
+        if (isHeadToHead) {
+            ctx.fillStyle = '#FFFF00';
+            if (headToHead.current === 0) {
+                ctx.fillRect(100, 140, ctx.measureText(homeLabel).width, 10);
+            } else {
+                const labelWidth = ctx.measureText(awayLabel).width;
+                ctx.fillRect(canvas.width - 100 - labelWidth, 140, labelWidth, 10);
+            }
+        }
 
         // scores
         ctx.font = 'bold 120px Arial';
@@ -1495,13 +1725,42 @@ function createScoreboard() {
         ctx.textAlign = 'right';
         ctx.fillText(awayScore.toString(), canvas.width - 150, 250);
 
-        // game time
-        ctx.font = 'bold 70px Arial';
+        // game clock
+        ctx.font = 'bold 90px Arial';
         ctx.fillStyle = '#FFFF00';
         ctx.textAlign = 'center';
-        ctx.fillText('LIVE', canvas.width / 2, 180);
-        ctx.font = 'bold 50px Arial';
-        ctx.fillText('BASKETBALL', canvas.width / 2, 350);
+        ctx.fillText(gameClock, canvas.width / 2, 150);
+
+        // shot clock (red in the last 5 seconds)
+        ctx.font = 'bold 30px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText('SHOT', canvas.width / 2, 200);
+        ctx.font = 'bold 80px Arial';
+        ctx.fillStyle = clocks.shotSeconds !== null && clocks.shotSeconds <= 5 ? '#FF3333' : '#FFAA00';
+        ctx.fillText(clocks.shotSeconds === null ? '--' : clocks.shotSeconds.toString(), canvas.width / 2, 280);
+
+        // mode name and period
+        ctx.font = 'bold 44px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(gameModes.modes[clocks.mode].name.toUpperCase(), canvas.width / 2, 380);
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText(`PERIOD ${clocks.period}`, canvas.width / 2, 450);
+    }
+
+    function updateScoreboardClocks() {
+        /*
+        redraw (and re-upload the texture) only if something on the board changed
+        */
+
+        const clocks = readScoreboardClocks();
+        if (clocks.gameSeconds === drawnClocks.gameSeconds &&
+            clocks.shotSeconds === drawnClocks.shotSeconds &&
+            clocks.mode === drawnClocks.mode &&
+            clocks.period === drawnClocks.period) return;
+
+        updateScoreboardDisplay(drawnScores.home, drawnScores.away);
+        screenTexture.needsUpdate = true;
     }
 
     updateScoreboardDisplay();
@@ -1526,6 +1785,7 @@ function createScoreboard() {
     window.scoreboardContext = ctx;
     window.scoreboardTexture = screenTexture;
     window.updateScoreboardDisplay = updateScoreboardDisplay;
+    window.updateScoreboardClocks = updateScoreboardClocks;
 
     // create hanging wires
     const wireMaterial = new THREE.MeshStandardMaterial({
@@ -1589,6 +1849,12 @@ function updateStatsUI() {
         pointsElement.textContent = gameStats.points;
         lastStatsValues.points = gameStats.points;
     }
+
+    const turnoversElement = document.getElementById('turnovers');
+    if (turnoversElement && gameStats.turnovers !== lastStatsValues.turnovers) {
+        turnoversElement.textContent = gameStats.turnovers;
+        lastStatsValues.turnovers = gameStats.turnovers;
+    }
 }
 
 function showShotFeedback(result, isThreePointer = false) {
@@ -1659,7 +1925,36 @@ function recordShotAttempt() {
     record a new shot attempt
     */
     gameStats.shotAttempts++;
+
+    const shot = gameStats.lastShotPosition;
+    gameStats.shotHistory.push({
+        x: shot.x,
+        z: shot.z,
+        basketX: shot.targetBasket.x,
+        zone: classifyShotZone(shot, shot.targetBasket),
+        result: null // made/missed once decided
+    });
+
     updateStatsUI();
+    updateShotChart();
+    updateZoneStatsUI();
+    resetShotClock(modeUsesShotClock(gameModes.modes[gameModes.current]));
+    updatePlayerIndicatorUI();
+    recordAroundTheWorldAttempt();
+}
+
+function shotPointValue(isThreePointer) {
+    /*
+    points for a made shot from the zone it was taken in
+    (the mode's pointsPerZone, otherwise 2 or 3 - free throw modes always give 1)
+    */
+
+    if (gameModes.modes[gameModes.current].freeThrow) return FREE_THROW_POINTS;
+
+    const shot = gameStats.lastShotPosition;
+    if (!shot || !shot.targetBasket) return isThreePointer ? 3 : 2;
+
+    return pointsForZone(classifyShotZone(shot, shot.targetBasket), gameModes.modes[gameModes.current].pointsPerZone);
 }
 
 function recordShotMade(isThreePointer = false) {
@@ -1679,35 +1974,71 @@ function recordShotMade(isThreePointer = false) {
     
     gameStats.shotsMade++;
     gameStats.lastShotResult = 'made';
+
+    const points = shotPointValue(isThreePointer);
+
+    if (activeShotReplay) {
+        activeShotReplay.attempt.result = 'made';
+        activeShotReplay.attempt.points = points;
+        activeShotReplay.attempt.resolvedAt = Date.now();
+    }
     
     window.shotHasBeenMade = true;
     
-    if (isThreePointer) {
-        gameStats.points += 3;
-    } else {
-        gameStats.points += 2;
-    }
+    gameStats.points += points;
+    resolveShotChartEntry('made');
     
     updateStatsUI();
     showShotFeedback('made', isThreePointer);
+    resolveFreeThrow(true);
+    resolveHorseShot(true);
+    checkModeOutcome();
+    advanceAroundTheWorld();
+    updatePlayerIndicatorUI();
+    schedulePossessionChange();
 }
 
-function recordShotMissed() {
+function recordShotMissed(delay = 100) {
     /*
-    record a missed shot
+    record a missed shot after a short delay (a make in the meantime cancels it)
+    delay: ms until the miss counts (the remaining time when resuming from a pause)
     */
 
     if (gameStats.lastShotResult === 'made' || window.shotHasBeenMade === true) {
         return;
     }
-    
+
+    // a rolling ball touches the floor every physics step - keep the one pending miss
+    // so there is only ever one timer to pause
+    if (window.missTimeoutId) {
+        return;
+    }
+
+    window.missDueAt = Date.now() + delay;
     window.missTimeoutId = setTimeout(() => {
-        if (gameStats.lastShotResult !== 'made' && window.shotHasBeenMade !== true) {
+        window.missTimeoutId = null;
+        if (gameStats.lastShotResult === null && window.shotHasBeenMade !== true) {
             gameStats.lastShotResult = 'missed';
+            if (activeShotReplay && activeShotReplay.attempt.result === null) {
+                activeShotReplay.attempt.result = 'missed';
+                activeShotReplay.attempt.points = 0;
+                activeShotReplay.attempt.resolvedAt = Date.now();
+            }
+            resolveShotChartEntry('missed');
             updateStatsUI();
             showShotFeedback('missed');
+            resolveFreeThrow(false);
+            resolveHorseShot(false);
+            modeProgress.misses++;
+            checkModeOutcome();
+            updatePlayerIndicatorUI();
+            schedulePossessionChange();
+
+            if (onlineMatch.connection && onlineMatch.side) {
+                onlineMatch.connection.sendResult('missed');
+            }
         }
-    }, 100);
+    }, delay);
 }
 
 const cameraPresets = {
@@ -1819,111 +2150,216 @@ function updateCameraStatusDisplay() {
 // game modes
 const gameModes = {
     current: 'free-shoot',
-    modes: {
-        'free-shoot': {
-            name: 'Free Shoot',
-            description: 'Shoot freely with no restrictions',
-            timeLimit: null,
-            restrictToThreePointers: false,
-            showCountdown: false
-        },
-        'three-pointers': {
-            name: '3-Pointers Only',
-            description: 'Only shots from beyond the three-point line count',
-            timeLimit: null,
-            restrictToThreePointers: true,
-            showCountdown: false
-        },
-        'timed-challenge': {
-            name: 'Timed Challenge',
-            description: 'Score as many points as possible in 60 seconds',
-            timeLimit: 60,
-            restrictToThreePointers: false,
-            showCountdown: true
-        },
-        'three-point-challenge': {
-            name: '3-Point Challenge',
-            description: 'Make as many 3-pointers as possible in 45 seconds',
-            timeLimit: 45,
-            restrictToThreePointers: true,
-            showCountdown: true
-        }
-    },
+    state: 'idle', // idle, countdown, playing or results (see setGameModeState)
+    period: 1, // round shown on the scoreboard (two-player modes count rounds)
+    // the full list is loaded from game-modes.json (see loadGameModes), free shoot works until then
+    modes: parseModeDefinitions({
+        modes: [{ key: 'free-shoot', name: 'Free Shoot', description: 'Shoot freely with no restrictions', practice: true }]
+    }),
     timer: {
         remaining: 0,
         active: false,
         intervalId: null
-    },
-    stats: {
-        bestScore: {}
     }
 };
 
 let lastGameMode = null;
 
-function setGameMode(modeKey) {
-    /*
-    set the current game mode and update any restrictions
-    */
+// miss count for modes with a miss limit
+const modeProgress = {
+    misses: 0
+};
 
-    if (gameModes.modes[modeKey]) {
-        gameModes.current = modeKey;
+// pending timeouts of the results screen (cleared if the mode is left early)
+let resultsTimeoutIds = [];
 
-        // reset timer if mode has a time limit
-        if (gameModes.modes[modeKey].timeLimit) {
-            gameModes.timer.remaining = gameModes.modes[modeKey].timeLimit;
-            gameModes.timer.active = true;
+// bumped every time the results screen is left, so a late leaderboard fetch can tell
+// its results screen is gone
+let resultsRun = 0;
 
-            // clear existing timer
-            if (gameModes.timer.intervalId) {
-                clearInterval(gameModes.timer.intervalId);
-            }
+// removes the initials prompt listeners without saving (null when no prompt is open)
+let cancelLeaderboardPrompt = null;
 
-            // start countdown timer
-            gameModes.timer.intervalId = setInterval(() => {
-                if (gameModes.timer.remaining > 0) {
-                    gameModes.timer.remaining--;
-                } else {
-                    // time's up! handle end of game mode
-                    clearInterval(gameModes.timer.intervalId);
-                    gameModes.timer.active = false;
-
-                    // default action: switch back to free shoot mode
-                    setGameMode('free-shoot');
-                }
-            }, 1000);
-        } else {
-            gameModes.timer.active = false;
-            if (gameModes.timer.intervalId) {
-                clearInterval(gameModes.timer.intervalId);
-                gameModes.timer.intervalId = null;
+// 3-2-1 countdown before timed modes start
+const modeCountdown = {
+    from: 3,
+    remaining: 0, // number currently on screen (0 = "GO!")
+    timeoutId: null
+};
+
+// pause menu (P to pause, also when the tab is hidden)
+const gamePause = {
+    paused: false,
+    timerRemaining: null, // game clock at the moment of pausing
+    pausedAt: null, // Date.now() when the pause started (Around the World clock)
+    missRemaining: null, // ms left on a pending miss when the game paused
+    scoreResetPending: false, // a made shot's ball reset was waiting
+    possessionPending: false, // the ball was about to go to the other player
+    freeThrowReturnPending: false // a missed free throw was about to go back to the line
+};
+
+// two-player hot-seat state (names can be set with ?player1=...&player2=...)
+const playerNameParams = new URLSearchParams(window.location.search);
+const headToHead = {
+    players: [
+        { name: (playerNameParams.get('player1') || 'Player 1').slice(0, 12), stats: null },
+        { name: (playerNameParams.get('player2') || 'Player 2').slice(0, 12), stats: null }
+    ],
+    current: 0, // index of the player who has the ball
+    possessionDelay: 1500, // ms between a shot's result and handing the ball over
+    possessionTimeoutId: null
+};
+
+// H-O-R-S-E state (played by the two head-to-head players)
+const HORSE_WORD = 'HORSE';
+const horseGame = {
+    letters: [0, 0], // letters each player has taken
+    leader: 0, // player who sets the shots
+    requiredSpot: null, // { x, z } the follower has to shoot from
+    tolerance: 1.0, // how far from the spot (m) the follower may stand
+    marker: null, // ring on the court around the required spot
+    winner: null
+};
+
+// Around the World spots around the right basket, in shooting order (block to block)
+const AROUND_THE_WORLD_SPOTS = [
+    { name: 'Right Block', x: 13.0, z: 2.6 },
+    { name: 'Right Baseline', x: 12.2, z: 5.0 },
+    { name: 'Right Wing', x: 9.8, z: 4.4 },
+    { name: 'Top of the Key', x: 8.0, z: 0 },
+    { name: 'Left Wing', x: 9.8, z: -4.4 },
+    { name: 'Left Baseline', x: 12.2, z: -5.0 },
+    { name: 'Left Block', x: 13.0, z: -2.6 }
+];
+
+const aroundTheWorld = {
+    spotRadius: 0.8, // how far from a spot's centre (m) a shot may be taken
+    current: 0, // index of the spot to shoot from
+    attempts: 0,
+    startTime: null, // set on the first shot
+    finishTime: null,
+    clockIntervalId: null,
+    spotDecals: [] // created with the court
+};
+
+// free throws - totals are kept across modes for a separate FT%,
+// routine progress restarts with the mode
+const freeThrows = {
+    attempts: 0,
+    made: 0,
+    side: 1, // 1 = right basket, -1 = left basket
+    routine: createFreeThrowRoutine(),
+    returnTimeoutId: null // brings the ball back to the line after a miss
+};
+
+// online match state (join with ?room=<code>, see src/multiplayer.js)
+const onlineMatch = {
+    room: roomFromQuery(window.location.search),
+    connection: null,
+    side: null, // 'home' or 'away' once the server has seated us
+    opponentConnected: false,
+    scores: null, // latest authoritative scores from the server
+    opponentBall: null, // mesh for the opponent's shots
+    opponentShot: null, // { position, lastPosition, velocity, spin, world } while a shot is in the air
+    opponentAccumulator: 0,
+    opponentHideTimeoutId: null
+};
+
+// ======================
+// GAME MODE STATE MACHINE
+// ======================
+//
+// Every mode runs through the same states, however it was entered:
+// idle -> countdown (timed modes with showCountdown) -> playing -> results
+// Each state's exit hook undoes what its enter hook started.
+
+const gameModeStates = {
+    idle: {
+        enter() {},
+        exit() {}
+    },
+    countdown: {
+        enter() {
+            modeCountdown.remaining = modeCountdown.from;
+            showCountdownStep();
+        },
+        exit() {
+            clearTimeout(modeCountdown.timeoutId);
+            modeCountdown.timeoutId = null;
+
+            const overlay = document.getElementById('countdown-overlay');
+            if (overlay) overlay.style.display = 'none';
+        }
+    },
+    playing: {
+        enter() {
+            const mode = gameModes.modes[gameModes.current];
+            if (mode.timeLimit) {
+                startGameTimer(mode.timeLimit);
+            }
+            updateTimerUI();
+        },
+        exit() {
+            stopGameTimer();
+        }
+    },
+    results: {
+        enter(outcome) {
+            // timed modes get the results screen and leaderboards, other drills a message
+            if (gameModes.modes[gameModes.current].timeLimit) {
+                endTimedChallenge(outcome);
+            } else {
+                showDrillOutcome(outcome);
             }
+        },
+        exit() {
+            resultsRun++;
+            resultsTimeoutIds.forEach(id => clearTimeout(id));
+            resultsTimeoutIds = [];
+            if (cancelLeaderboardPrompt) cancelLeaderboardPrompt();
+            hideTimedChallengeResults();
         }
+    }
+};
+
+function setGameModeState(nextState, data = null) {
+    /*
+    leave the current state and enter the next one
+    data is passed to the enter hook (the outcome for results)
+    */
 
-        updateGameModeUI();
+    if (gamePause.paused) {
+        closePauseMenu();
     }
+
+    gameModeStates[gameModes.state].exit();
+    gameModes.state = nextState;
+    gameModeStates[nextState].enter(data);
 }
 
-function switchGameMode(modeKey) {
+function enterGameMode(modeKey) {
     /*
-    switch to a different game mode
+    start a game mode from scratch (also used to restart the current one)
     */
    
     if (!gameModes.modes[modeKey]) return;
-    
-    stopGameTimer();
-    resetGameStats();
-    
-    // switch mode
+
+    // leave whatever was running (stops timers, closes results)
+    setGameModeState('idle');
+
     gameModes.current = modeKey;
+    gameModes.period = 1;
     const mode = gameModes.modes[modeKey];
-    
-    // start timer if mode requires it
-    if (mode.timeLimit) {
-        startGameTimer(mode.timeLimit);
-    }
-    
+
+    resetGameStats();
+    resetShotClock(false);
+    resetModeProgress();
+    resetHeadToHead();
+    resetAroundTheWorld();
+    resetFreeThrowRoutine();
     updateGameModeUI();
+
+    setGameModeState(mode.timeLimit && mode.showCountdown ? 'countdown' : 'playing');
     
     // show mode change feedback
     const keyFeedback = document.getElementById('key-feedback');
@@ -1938,6 +2374,224 @@ function switchGameMode(modeKey) {
     }
 }
 
+// ===================
+// COUNTDOWN AND PAUSE
+// ===================
+
+function showCountdownStep() {
+    /*
+    show the current countdown number, then move on a second later
+    after "GO!" the mode starts playing
+    */
+
+    const overlay = document.getElementById('countdown-overlay');
+    if (overlay) {
+        overlay.textContent = modeCountdown.remaining > 0 ? modeCountdown.remaining : 'GO!';
+        overlay.style.color = modeCountdown.remaining > 0 ? '#ffcc00' : '#00ff00';
+        overlay.style.display = 'flex';
+    }
+
+    modeCountdown.timeoutId = setTimeout(() => {
+        modeCountdown.timeoutId = null;
+        if (modeCountdown.remaining > 0) {
+            modeCountdown.remaining--;
+            showCountdownStep();
+        } else {
+            setGameModeState('playing');
+        }
+    }, modeCountdown.remaining > 0 ? 1000 : 500);
+}
+
+function pauseGame() {
+    /*
+    freeze the game clock, the countdown, ball physics and any pending miss, ball reset
+    or possession change
+    */
+
+    if (gamePause.paused || replayViewer.active) return false;
+    if (gameModes.state !== 'playing' && gameModes.state !== 'countdown') return false;
+
+    gamePause.paused = true;
+    gamePause.pausedAt = Date.now();
+
+    if (gameModes.timer.active) {
+        gamePause.timerRemaining = gameModes.timer.remaining;
+        stopGameTimer();
+    }
+
+    if (modeCountdown.timeoutId) {
+        clearTimeout(modeCountdown.timeoutId);
+        modeCountdown.timeoutId = null;
+    }
+
+    if (window.missTimeoutId) {
+        clearTimeout(window.missTimeoutId);
+        window.missTimeoutId = null;
+        gamePause.missRemaining = Math.max(0, window.missDueAt - Date.now());
+    }
+
+    if (window.scoreResetTimeoutId) {
+        clearTimeout(window.scoreResetTimeoutId);
+        window.scoreResetTimeoutId = null;
+        gamePause.scoreResetPending = true;
+    }
+
+    if (headToHead.possessionTimeoutId) {
+        clearTimeout(headToHead.possessionTimeoutId);
+        headToHead.possessionTimeoutId = null;
+        gamePause.possessionPending = true;
+    }
+
+    if (freeThrows.returnTimeoutId) {
+        clearTimeout(freeThrows.returnTimeoutId);
+        freeThrows.returnTimeoutId = null;
+        gamePause.freeThrowReturnPending = true;
+    }
+
+    // forget held keys so the ball doesn't drift off after resuming
+    basketballMovement.keysPressed = {};
+    cancelShotMeter();
+
+    const menu = document.getElementById('pause-menu');
+    if (menu) menu.style.display = 'flex';
+    return true;
+}
+
+function closePauseMenu() {
+    gamePause.paused = false;
+    gamePause.timerRemaining = null;
+    gamePause.pausedAt = null;
+    gamePause.missRemaining = null;
+    gamePause.scoreResetPending = false;
+    gamePause.possessionPending = false;
+    gamePause.freeThrowReturnPending = false;
+
+    const menu = document.getElementById('pause-menu');
+    if (menu) menu.style.display = 'none';
+}
+
+function resumeGame() {
+    /*
+    carry on exactly where the game was paused
+    */
+
+    if (!gamePause.paused) return;
+
+    const timerRemaining = gamePause.timerRemaining;
+    const pausedFor = Date.now() - gamePause.pausedAt;
+    const { missRemaining, scoreResetPending, possessionPending, freeThrowReturnPending } = gamePause;
+    closePauseMenu();
+
+    // don't count the paused time as one long frame
+    lastTime = Date.now();
+
+    // or against the Around the World clock
+    if (aroundTheWorld.startTime !== null && aroundTheWorld.finishTime === null) {
+        aroundTheWorld.startTime += pausedFor;
+    }
+
+    if (timerRemaining !== null) {
+        startGameTimer(timerRemaining);
+    }
+    if (gameModes.state === 'countdown') {
+        showCountdownStep();
+    }
+    if (missRemaining !== null) {
+        recordShotMissed(missRemaining);
+    }
+    if (scoreResetPending) {
+        scheduleScoreReset();
+    }
+    if (possessionPending) {
+        schedulePossessionChange();
+    }
+    if (freeThrowReturnPending) {
+        scheduleFreeThrowReturn();
+    }
+}
+
+function restartFromPause() {
+    closePauseMenu();
+    lastTime = Date.now();
+    resetBasketballPosition();
+    resetGameMode();
+}
+
+function quitFromPause() {
+    closePauseMenu();
+    lastTime = Date.now();
+    resetBasketballPosition();
+    enterGameMode('free-shoot');
+}
+
+function handlePauseKey(e) {
+    /*
+    keys while the pause menu is open
+    returns a feedback message, or '' if the key does nothing
+    */
+
+    if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') {
+        resumeGame();
+        return 'Game resumed';
+    }
+    if (e.key === 'r' || e.key === 'R') {
+        restartFromPause();
+        return 'Game restarted';
+    }
+    if (e.key === 'q' || e.key === 'Q') {
+        quitFromPause();
+        return 'Back to Free Shoot';
+    }
+    return '';
+}
+
+function modeUsesShotClock(mode) {
+    /*
+    the shot clock only matters where there is a possession to lose or a game clock to beat
+    (not in free shoot and the practice drills)
+    */
+
+    return mode.twoPlayer || mode.timeLimit !== null;
+}
+
+function resetShotClock(running) {
+    /*
+    put 24 seconds back on the shot clock (running after an attempt, stopped on a mode change)
+    */
+
+    shotClock.remaining = shotClock.duration;
+    shotClock.running = running;
+}
+
+function updateShotClock(frameTime) {
+    /*
+    run the shot clock while the player has the ball, a violation is a turnover
+    */
+
+    if (!shotClock.running || gameModes.state !== 'playing' || basketballMovement.shooting.active) return;
+
+    shotClock.remaining -= frameTime;
+    if (shotClock.remaining > 0) return;
+
+    gameStats.turnovers++;
+    updateStatsUI();
+    resetShotClock(true);
+
+    const keyFeedback = document.getElementById('key-feedback');
+    if (keyFeedback) {
+        keyFeedback.textContent = 'SHOT CLOCK VIOLATION! Turnover';
+        keyFeedback.style.opacity = '1';
+        keyFeedback.style.color = '#ff3333';
+
+        setTimeout(() => {
+            keyFeedback.style.opacity = '0';
+        }, 2500);
+    }
+
+    // in two-player modes the ball goes to the other player
+    schedulePossessionChange();
+}
+
 function startGameTimer(seconds) {
     /*
     start a countdown timer for timed game modes
@@ -1957,7 +2611,7 @@ function startGameTimer(seconds) {
         updateTimerUI();
         
         if (gameModes.timer.remaining <= 0) {
-            endTimedChallenge();
+            setGameModeState('results');
         }
     }, 1000);
     
@@ -1976,12 +2630,11 @@ function stopGameTimer() {
     }
 }
 
-function endTimedChallenge() {
+function endTimedChallenge(outcome = null) {
     /*
     end a timed challenge and show results
+    outcome: { won, reason } when the mode ended on a win/lose condition
     */
-
-    stopGameTimer();
     
     // reset ball position when challenge ends
     resetBasketballPosition();
@@ -1992,39 +2645,175 @@ function endTimedChallenge() {
     const shotAttempts = gameStats.shotAttempts;
     const accuracy = shotAttempts > 0 ? Math.round((shotsMade / shotAttempts) * 100) : 0;
     
-    // check for new best score
-    let isNewBest = false;
-    if (gameModes.stats && gameModes.stats.bestScore) {
-        if (gameModes.stats.bestScore[gameModes.current] === undefined || 
-            finalScore > gameModes.stats.bestScore[gameModes.current]) {
-            gameModes.stats.bestScore[gameModes.current] = finalScore;
-            isNewBest = true;
-        }
+    // check the persistent leaderboard for this mode and difficulty
+    const modeKey = gameModes.current;
+    const difficultyKey = difficulty.current;
+    const modeLabel = `${mode.name} (${DIFFICULTY_LEVELS[difficultyKey].name})`;
+    const leaderboard = loadLeaderboard(window.localStorage, modeKey, difficultyKey);
+    const isNewBest = finalScore > 0 && (leaderboard.length === 0 || finalScore > leaderboard[0].score);
+    const qualifiesLocally = qualifiesForLeaderboard(leaderboard, finalScore);
+
+    // the clock ran out (a mode with a target score can still be won or lost on it)
+    if (!outcome) {
+        outcome = evaluateModeOutcome(mode, { points: finalScore, shotAttempts, misses: modeProgress.misses, timeUp: true });
     }
-    
+
     // show results in center screen
-    showTimedChallengeResults(mode.name, finalScore, shotsMade, shotAttempts, accuracy, isNewBest);
-    
-    // reset to free mode after showing results
-    setTimeout(() => {
-        switchGameMode('free-shoot');
-    }, 6000);
-}
+    showTimedChallengeResults(modeLabel, finalScore, shotsMade, shotAttempts, accuracy, isNewBest);
+    if (outcome) {
+        document.getElementById('challenge-title').textContent =
+            `${outcome.won ? '🏆' : '❌'} ${modeLabel}: ${outcome.reason}`;
+    }
+    renderChallengeLeaderboard('challenge-leaderboard-body', leaderboard, 0);
+
+    // the shared LAN board (if the server is reachable) decides separately whether the score makes it
+    const run = resultsRun;
+    fetchSharedLeaderboard(modeKey, difficultyKey).then(sharedLeaderboard => {
+        // the player restarted, quit or picked another mode while we waited
+        if (gameModes.state !== 'results' || run !== resultsRun) return;
+
+        const sharedContainer = document.getElementById('challenge-shared-leaderboard');
+        if (sharedContainer) sharedContainer.style.display = sharedLeaderboard ? 'block' : 'none';
+        if (sharedLeaderboard) {
+            renderChallengeLeaderboard('challenge-shared-leaderboard-body', sharedLeaderboard, 0);
+        }
 
-function isValidShot(shotPosition, targetBasket) {
-    /*
+        const qualifiesShared = sharedLeaderboard !== null && qualifiesForLeaderboard(sharedLeaderboard, finalScore);
+
+        if (!qualifiesLocally && !qualifiesShared) {
+            closeTimedChallengeResults();
+            return;
+        }
+
+        // wait for the player's initials before closing the results
+        promptForLeaderboardName(initials => {
+            const entry = {
+                initials: sanitizeInitials(initials),
+                score: finalScore,
+                accuracy: accuracy
+            };
+
+            if (qualifiesLocally) {
+                const result = addLeaderboardEntry(window.localStorage, modeKey, difficultyKey, entry);
+                renderChallengeLeaderboard('challenge-leaderboard-body', result.entries, result.rank);
+            }
+
+            if (qualifiesShared) {
+                submitSharedScore(modeKey, difficultyKey, entry).then(result => {
+                    if (result && gameModes.state === 'results' && run === resultsRun) {
+                        renderChallengeLeaderboard('challenge-shared-leaderboard-body', result.entries, result.rank);
+                    }
+                });
+            }
+
+            closeTimedChallengeResults();
+        });
+    });
+}
+
+function fetchSharedLeaderboard(modeKey, difficultyKey) {
+    /*
+    get the LAN leaderboard for a mode and difficulty from the server
+    resolves to the entries, or null if the server can't be reached
+    */
+
+    return fetch(`/api/scores?mode=${encodeURIComponent(modeKey)}&difficulty=${encodeURIComponent(difficultyKey)}`)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => data ? data.entries : null)
+        .catch(() => null);
+}
+
+function submitSharedScore(modeKey, difficultyKey, entry) {
+    /*
+    post a finished challenge to the LAN leaderboard
+    resolves to { entries, rank }, or null if it was rejected or the server can't be reached
+    */
+
+    return fetch('/api/scores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            mode: modeKey,
+            difficulty: difficultyKey,
+            initials: entry.initials,
+            score: entry.score,
+            accuracy: entry.accuracy
+        })
+    })
+        .then(response => response.ok ? response.json() : null)
+        .catch(() => null);
+}
+
+function isValidShot(shotPosition, targetBasket) {
+    /*
     check if a shot is valid for the current game mode
     */
 
     const mode = gameModes.modes[gameModes.current];
     
-    // if mode restricts to three-pointers, check if it's beyond the arc
-    if (mode.restrictToThreePointers) {
-        const is3Point = isThreePointShot(shotPosition, targetBasket);
-        if (!is3Point) {
-            showInvalidShotMessage('You must shoot from the 3-point line! Move back and try again.');
+    // nothing counts before the countdown is over
+    if (gameModes.state === 'countdown') {
+        showInvalidShotMessage('Wait for the countdown!');
+        return false;
+    }
+
+    // a drill that was won or lost waits for a restart
+    if (gameModes.state === 'results') {
+        showInvalidShotMessage('This drill is over! Press R to try again.');
+        return false;
+    }
+
+    // if mode restricts where shots come from, check the shot's zone
+    if (mode.allowedZones) {
+        const allowed = zoneInList(classifyShotZone(shotPosition, targetBasket), mode.allowedZones);
+        if (!allowed) {
+            const zoneNames = mode.allowedZones.map(zoneDisplayName).join(' or ');
+            showInvalidShotMessage(`You must shoot from the ${zoneNames}! Move and try again.`);
+        }
+        return allowed;
+    }
+
+    // free throws only count from the line (and not once the routine is over)
+    if (mode.freeThrow) {
+        if (freeThrows.routine.complete) {
+            showInvalidShotMessage('Routine finished! Press R to shoot it again.');
+            return false;
+        }
+
+        const lineX = freeThrows.side * (courtHeight - freeThrowDistance);
+        if (Math.abs(shotPosition.x - lineX) > 1 || Math.abs(shotPosition.z) > 1) {
+            showInvalidShotMessage('Wait for the ball to come back to the free throw line.');
+            return false;
+        }
+        return true;
+    }
+
+    // in Around the World every shot must come from the current spot
+    if (mode.aroundTheWorld) {
+        if (aroundTheWorld.finishTime !== null) {
+            showInvalidShotMessage('You made it around the world! Press R to go again.');
+            return false;
+        }
+
+        const spot = AROUND_THE_WORLD_SPOTS[aroundTheWorld.current];
+        const dx = shotPosition.x - spot.x;
+        const dz = shotPosition.z - spot.z;
+        const onSpot = Math.sqrt(dx * dx + dz * dz) <= aroundTheWorld.spotRadius;
+        if (!onSpot) {
+            showInvalidShotMessage(`Shoot from spot ${aroundTheWorld.current + 1} (${spot.name})!`);
+        }
+        return onSpot;
+    }
+
+    // in H-O-R-S-E the follower has to match the leader's spot
+    if (mode.horse && horseGame.requiredSpot) {
+        const dx = shotPosition.x - horseGame.requiredSpot.x;
+        const dz = shotPosition.z - horseGame.requiredSpot.z;
+        const onSpot = Math.sqrt(dx * dx + dz * dz) <= horseGame.tolerance;
+        if (!onSpot) {
+            showInvalidShotMessage('Shoot from inside the yellow ring to match the leader\'s shot!');
         }
-        return is3Point;
+        return onSpot;
     }
     
     return true;
@@ -2039,7 +2828,11 @@ function resetGameStats() {
     gameStats.shotsMade = 0;
     gameStats.points = 0;
     gameStats.accuracy = 0;
+    gameStats.turnovers = 0;
+    gameStats.shotHistory = [];
     gameStats.lastShotResult = null;
+    updateShotChart();
+    updateZoneStatsUI();
     
     // reset UI
     updateStatsUI();
@@ -2054,6 +2847,11 @@ function resetGameStats() {
         window.updateScoreboardDisplay(0, 0);
         window.scoreboardTexture.needsUpdate = true;
     }
+
+    // the match score of an online game belongs to the server, not the game mode
+    if (onlineMatch.scores) {
+        applyOnlineScores(onlineMatch.scores);
+    }
 }
 
 // ====================
@@ -2076,10 +2874,122 @@ function updateGameModeUI() {
         const mode = gameModes.modes[gameModes.current];
         modeDescElement.textContent = mode.description;
     }
+
+    const modeSelect = document.getElementById('mode-select');
+    if (modeSelect) {
+        modeSelect.value = gameModes.current;
+    }
     
     updateTimerUI();
 }
 
+function resetModeProgress() {
+    modeProgress.misses = 0;
+}
+
+function checkModeOutcome() {
+    /*
+    end the mode once its target score, shot limit or miss limit is reached
+    */
+
+    if (gameModes.state !== 'playing') return;
+
+    const outcome = evaluateModeOutcome(gameModes.modes[gameModes.current], {
+        points: gameStats.points,
+        shotAttempts: gameStats.shotAttempts,
+        misses: modeProgress.misses
+    });
+    if (outcome) {
+        setGameModeState('results', outcome);
+    }
+}
+
+function showDrillOutcome(outcome) {
+    /*
+    announce how an untimed drill ended
+    */
+
+    if (!outcome) return;
+
+    const messageElement = document.getElementById('game-message');
+    if (messageElement) {
+        messageElement.textContent = `${outcome.won ? '🏆 Drill complete' : '❌ Drill failed'}: ${outcome.reason} (R to try again)`;
+        messageElement.style.display = 'block';
+        messageElement.style.color = outcome.won ? '#00ff00' : '#ff4444';
+
+        setTimeout(() => {
+            messageElement.style.display = 'none';
+        }, 5000);
+    }
+}
+
+async function loadGameModes() {
+    /*
+    load the mode definitions from game-modes.json and build the mode selector
+    */
+
+    try {
+        const response = await fetch('/game-modes.json');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        gameModes.modes = parseModeDefinitions(await response.json());
+    } catch (error) {
+        // keep the built-in free shoot mode so the game stays playable
+        const keyFeedback = document.getElementById('key-feedback');
+        if (keyFeedback) {
+            keyFeedback.textContent = `Could not load game modes: ${error.message}`;
+            keyFeedback.style.opacity = '1';
+            keyFeedback.style.color = '#ff0000';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 4000);
+        }
+    }
+
+    if (!gameModes.modes[gameModes.current]) {
+        enterGameMode(Object.keys(gameModes.modes)[0]);
+    }
+
+    buildModeSelector();
+    updateGameModeUI();
+}
+
+function buildModeSelector() {
+    /*
+    fill the game mode dropdown and the F-key list in the controls panel
+    */
+
+    const modeKeys = Object.keys(gameModes.modes);
+
+    const modeSelect = document.getElementById('mode-select');
+    if (modeSelect) {
+        modeSelect.innerHTML = '';
+        modeKeys.forEach(modeKey => {
+            const option = document.createElement('option');
+            option.value = modeKey;
+            option.textContent = gameModes.modes[modeKey].name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.value = gameModes.current;
+    }
+
+    const shortcuts = document.getElementById('mode-shortcuts');
+    if (shortcuts) {
+        shortcuts.innerHTML = '';
+        modeKeys.slice(0, MODE_SHORTCUT_KEYS.length).forEach((modeKey, index) => {
+            const line = document.createElement('p');
+            const key = document.createElement('span');
+            key.className = 'key-command';
+            key.textContent = MODE_SHORTCUT_KEYS[index];
+            line.appendChild(key);
+            line.appendChild(document.createTextNode(` ${gameModes.modes[modeKey].name}`));
+            shortcuts.appendChild(line);
+        });
+    }
+}
+
 function updateTimerUI() {
     /*
     update the timer display
@@ -2114,6 +3024,72 @@ createBasketball();
 createBleachers();
 createScoreboard();
 
+// =================
+// DIFFICULTY LEVELS
+// =================
+
+function applyDifficulty() {
+    /*
+    push the current difficulty's settings into the physics, shot meter and aim
+    */
+
+    const level = DIFFICULTY_LEVELS[difficulty.current];
+
+    physicsWorld.airResistance = level.airResistance;
+    basketballMovement.shotMeter.perfectWindow = level.perfectWindow;
+    if (level.manualAimOnly) {
+        basketballMovement.aim.manual = true;
+    }
+
+    updateAimUI();
+    updateShotMeterUI();
+    updateDifficultyUI();
+}
+
+function setDifficulty(key) {
+    /*
+    switch difficulty, remember it and restart the current mode so a whole run is played at
+    one difficulty (its score goes on that difficulty's leaderboards)
+    returns the feedback message to show
+    */
+
+    if (basketballMovement.shooting.active) {
+        updateDifficultyUI();
+        return 'Wait for the shot to finish before changing difficulty!';
+    }
+
+    difficulty.current = key;
+    saveDifficulty(window.localStorage, key);
+    applyDifficulty();
+    enterGameMode(gameModes.current);
+
+    return `Difficulty: ${DIFFICULTY_LEVELS[key].name}`;
+}
+
+function cycleDifficulty() {
+    /*
+    move on to the next difficulty (K key)
+    returns the feedback message to show
+    */
+
+    const keys = Object.keys(DIFFICULTY_LEVELS);
+    return setDifficulty(keys[(keys.indexOf(difficulty.current) + 1) % keys.length]);
+}
+
+function updateDifficultyUI() {
+    /*
+    show the difficulty in the game mode panel
+    */
+
+    const level = DIFFICULTY_LEVELS[difficulty.current];
+
+    const difficultySelect = document.getElementById('difficulty-select');
+    if (difficultySelect) difficultySelect.value = difficulty.current;
+
+    const description = document.getElementById('difficulty-description');
+    if (description) description.textContent = level.description;
+}
+
 // ===========================
 // INPUT HANDLING AND CONTROLS
 // ===========================
@@ -2123,11 +3099,44 @@ function handleKeyDown(e) {
     handle keydown events for camera controls and game mechanics
     */
 
+    // let text fields (leaderboard initials) and the mode selector receive their keys
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+
     // get the feedback element
     const keyFeedback = document.getElementById('key-feedback');
 
     let feedbackMessage = '';
 
+    // while paused, only the pause menu keys work
+    if (gamePause.paused) {
+        feedbackMessage = handlePauseKey(e);
+
+        if (feedbackMessage) {
+            keyFeedback.textContent = feedbackMessage;
+            keyFeedback.style.opacity = '1';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 2500);
+        }
+        return;
+    }
+
+    // while a replay is showing, keys drive the replay viewer instead of the game
+    if (replayViewer.active) {
+        feedbackMessage = handleReplayKey(e);
+
+        if (feedbackMessage) {
+            keyFeedback.textContent = feedbackMessage;
+            keyFeedback.style.opacity = '1';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 2500);
+        }
+        return;
+    }
+
     // register key press for movement controls
     if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) {
         basketballMovement.keysPressed[e.key] = true;
@@ -2142,6 +3151,22 @@ function handleKeyDown(e) {
         feedbackMessage = `Shot power decreased: ${basketballMovement.shotPower.current}%`;
     }
 
+    // manual aim: M toggles it, J/L turn the aim, T/G raise/lower the arc
+    if (e.key === "m" || e.key === "M") {
+        feedbackMessage = toggleManualAim();
+    } else if (["j", "J", "l", "L", "t", "T", "g", "G"].includes(e.key)) {
+        const aim = basketballMovement.aim;
+        if (!aim.manual) {
+            feedbackMessage = 'Manual aim is off - press M to turn it on';
+        } else {
+            const key = e.key.toLowerCase();
+            const horizontal = key === 'j' ? -aim.horizontalStep : key === 'l' ? aim.horizontalStep : 0;
+            const angle = key === 't' ? aim.angleStep : key === 'g' ? -aim.angleStep : 0;
+            adjustAim(horizontal, angle);
+            feedbackMessage = document.getElementById('aim-status').textContent;
+        }
+    }
+
     // Orbit camera toggle with O key
     if (e.key === "o" || e.key === "O") { // case insensitive
         isOrbitEnabled = !isOrbitEnabled;
@@ -2205,58 +3230,65 @@ function handleKeyDown(e) {
     }
     // space and R keys
     else if (e.key === " ") {
-        // (allow shooting if the ball is not already in air)
-        if (!basketballMovement.shooting.active) {
-            shootBasketball();
-                       feedbackMessage = `Shot taken with power: ${basketballMovement.shotPower.current}%`;
-        } else {
+        // (start charging the shot meter if the ball is not already in air, the shot is taken on release)
+        if (basketballMovement.shooting.active) {
             feedbackMessage = `Ball is already in air!`;
+        } else if (!e.repeat && !basketballMovement.shotMeter.charging) {
+            startShotMeter();
         }
     } else if (e.key === "r" || e.key === "R") {
         resetBasketballPosition();
-        resetGameStats();
         resetGameMode();
         feedbackMessage = `Key pressed: ${e.key.toUpperCase()} (ball position, shot power, stats, and mode timer reset)`;
     }
-    // toggle UI visibility with H/h key
-    else if (e.key === "h" || e.key === "H") {
-        toggleUIVisibility();
-        feedbackMessage = `UI controls: ${isUiVisible ? 'Shown' : 'Hidden'}`;
+    // export/import the session with E/e and I/i keys
+    else if (e.key === "e" || e.key === "E") {
+        feedbackMessage = exportSession();
     }
-    // game mode switching with F1-F4 keys
-    else if (e.key === "F1") {
-        switchGameMode('free-shoot');
-        feedbackMessage = `Game Mode: Free Shoot`;
+    else if (e.key === "i" || e.key === "I") {
+        feedbackMessage = requestSessionImport();
     }
-    else if (e.key === "F2") {
-        switchGameMode('three-pointers');
-        feedbackMessage = `Game Mode: 3-Pointers Only`;
+    // pause menu with P/p key
+    else if (e.key === "p" || e.key === "P") {
+        feedbackMessage = pauseGame() ? 'Game paused' : '';
     }
-    else if (e.key === "F3") {
-        switchGameMode('timed-challenge');
-        feedbackMessage = `Game Mode: Timed Challenge (60s)`;
+    // replay the last shot with V/v key
+    else if (e.key === "v" || e.key === "V") {
+        feedbackMessage = startReplay(shotReplays.length - 1);
     }
-    else if (e.key === "F4") {
-        switchGameMode('three-point-challenge');
-        feedbackMessage = `Game Mode: 3-Point Challenge (45s)`;
+    // trajectory preview with Y/y key (off, full arc, partial guide)
+    else if (e.key === "y" || e.key === "Y") {
+        feedbackMessage = cycleTrajectoryPreview();
     }
-
-    // set game mode based on number keys (1-4)
-    else if (e.key === "1") {
-        setGameMode('free-shoot');
-        feedbackMessage = `Game Mode: Free Shoot`;
+    // shot spin with B/b key (backspin, no spin, sidespin)
+    else if (e.key === "b" || e.key === "B") {
+        feedbackMessage = cycleSpinType();
     }
-    else if (e.key === "2") {
-        setGameMode('three-pointers');
-        feedbackMessage = `Game Mode: 3-Pointers Only`;
+    // difficulty with K/k key (Rookie, Pro, Legend)
+    else if (e.key === "k" || e.key === "K") {
+        feedbackMessage = cycleDifficulty();
     }
-    else if (e.key === "3") {
-        setGameMode('timed-challenge');
-        feedbackMessage = `Game Mode: Timed Challenge (60s)`;
+    // per-zone stats panel with Z/z key
+    else if (e.key === "z" || e.key === "Z") {
+        feedbackMessage = toggleZoneStatsPanel();
     }
-    else if (e.key === "4") {
-        setGameMode('three-point-challenge');
-        feedbackMessage = `Game Mode: 3-Point Challenge (45s)`;
+    // shot chart with C/c key (markers, heat map, off)
+    else if (e.key === "c" || e.key === "C") {
+        feedbackMessage = cycleShotChartView();
+    }
+    // toggle UI visibility with H/h key
+    else if (e.key === "h" || e.key === "H") {
+        toggleUIVisibility();
+        feedbackMessage = `UI controls: ${isUiVisible ? 'Shown' : 'Hidden'}`;
+    }
+    // game mode switching with function keys (in the order of game-modes.json)
+    else if (MODE_SHORTCUT_KEYS.includes(e.key)) {
+        const modeKey = Object.keys(gameModes.modes)[MODE_SHORTCUT_KEYS.indexOf(e.key)];
+        if (modeKey) {
+            e.preventDefault(); // F1, F3, F6, F7 and F10 have browser actions too
+            enterGameMode(modeKey);
+            feedbackMessage = `Game Mode: ${gameModes.modes[modeKey].name}`;
+        }
     }
 
     // display the feedback message
@@ -2315,10 +3347,43 @@ function handleKeyUp(e) {
     if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "a", "A", "d", "D"].includes(e.key)) {
         delete basketballMovement.keysPressed[e.key];
     }
+
+    // releasing SPACE takes the shot charged on the shot meter
+    if (e.key === " " && basketballMovement.shotMeter.charging) {
+        const feedbackMessage = releaseShotMeter();
+        const keyFeedback = document.getElementById('key-feedback');
+
+        if (feedbackMessage && keyFeedback) {
+            keyFeedback.textContent = feedbackMessage;
+            keyFeedback.style.opacity = '1';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 2500);
+        }
+    }
 }
 
 document.addEventListener('keyup', handleKeyUp);
 
+// pause when the tab is hidden (requestAnimationFrame stops but the timers wouldn't)
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        pauseGame();
+    }
+});
+
+// pause menu buttons
+document.getElementById('pause-resume').addEventListener('click', resumeGame);
+document.getElementById('pause-restart').addEventListener('click', restartFromPause);
+document.getElementById('pause-quit').addEventListener('click', quitFromPause);
+
+// session import file picker
+const sessionImportInput = document.getElementById('session-import-input');
+if (sessionImportInput) {
+    sessionImportInput.addEventListener('change', handleSessionFile);
+}
+
 function updatePowerUI() {
     /*
     update the power bar UI based on current shot power
@@ -2334,6 +3399,7 @@ function updatePowerUI() {
         // update the displayed power value
         powerValue.textContent = `${percentage}%`;
     }
+
 }
 
 function adjustShotPower(amount) {
@@ -2351,83 +3417,326 @@ function adjustShotPower(amount) {
     updatePowerUI();
 }
 
-function resetBasketballPosition() {
+function startShotMeter() {
     /*
-    reset the basketball position and orientation to its original state
+    start filling the shot meter (SPACE pressed) and place the perfect window at the ideal power for this spot
     */
 
-    if (window.basketballGroup) {
-        const basketball = window.basketballGroup;
-        const originalY = basketball.originalY !== undefined ? basketball.originalY : basketball.position.y;
-        basketball.position.set(0, originalY, 0);
+    const meter = basketballMovement.shotMeter;
+    meter.idealPower = findShotIdealPower();
+    meter.charging = true;
+    meter.level = 0;
+    meter.direction = 1;
+    updateShotMeterUI();
+}
 
-        // reset ball orientation/rotation
-        basketball.rotation.set(0, 0, 0);
+function updateShotMeter(frameTime) {
+    /*
+    fill the meter while SPACE is held, bouncing between empty and full
+    */
 
-        // reset movement speed
-        basketballMovement.currentSpeed.x = 0;
-        basketballMovement.currentSpeed.z = 0;
-        basketball.bouncePhase = 0;
+    const meter = basketballMovement.shotMeter;
+    if (!meter.charging) return;
 
-        // reset shot power to default only if not in free shoot mode
-        if (gameModes.current !== 'free-shoot' || gameStats.lastShotResult !== 'made') {
-            basketballMovement.shotPower.current = basketballMovement.shotPower.default;
-            updatePowerUI();
-        }
-        
-        // If shot is still active and no result was recorded, count it as a miss
-        // But only if it hasn't been marked as made and isn't pending a decision
-        if (basketballMovement.shooting.active && 
-            gameStats.lastShotResult === null && 
-            !window.shotHasBeenMade && 
-            !window.ballPendingScorekeeperDecision) {
-            
-            recordShotMissed();
-        }
-        
-        // stop shooting physics
-        basketballMovement.shooting.active = false;
+    meter.level += meter.direction * meter.fillRate * frameTime;
+    if (meter.level >= 100) {
+        meter.level = 100;
+        meter.direction = -1;
+    } else if (meter.level <= 0) {
+        meter.level = 0;
+        meter.direction = 1;
     }
+    updateShotMeterUI();
 }
 
-function resetBallPosition() {
+function cancelShotMeter() {
     /*
-    helper function to reset ball position (used in scoring)
+    drop a charge without shooting (pause, replay)
     */
 
-    basketballMovement.shooting.active = false;
-    
-    // clear any pending timeout
-    if (window.missTimeoutId) {
-        clearTimeout(window.missTimeoutId);
-        window.missTimeoutId = null;
-    }
-    
-    // in free-shoot mode with a made shot, don't reset position but allow new shots
-    if (gameModes.current === 'free-shoot' && gameStats.lastShotResult === 'made') {
-        setTimeout(() => {
-            gameStats.lastShotResult = null;
-        }, 1000);
-        return;
-    }
-    
-    resetBasketballPosition();
-    
-    window.ballPositionHistory = [];
+    basketballMovement.shotMeter.charging = false;
+    basketballMovement.shotMeter.level = 0;
+    updateShotMeterUI();
 }
 
-// window resize for responsive UI
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-}
+function findShotIdealPower() {
+    /*
+    the power that drops a shot from the ball's spot through the middle of the target rim
+    with the current aim, spin and difficulty (null if no power reaches the rim)
+    */
 
-window.addEventListener('resize', onWindowResize, false);
+    if (!window.basketballGroup || !hoopColliders.left || !hoopColliders.right) return null;
 
-function updateBasketballPosition() {
+    const ball = window.basketballGroup.position;
+    const targetBasket = getTargetBasket(ball);
+    return findIdealPower({ x: ball.x, y: ball.y, z: ball.z }, targetBasket, power => {
+        const velocity = computeShotVelocity(ball, targetBasket, power);
+        return { velocity, spin: computeShotSpin(velocity) };
+    }, physicsWorld, PHYSICS_TIMESTEP);
+}
+
+function getReleaseQuality(level) {
     /*
-    update the basketball position based on user input
+    1 inside the perfect window around the ideal power, falling to 0 at the tolerance
+    a spot no power reaches from has no window, so every release is judged on power alone
+    */
+
+    const meter = basketballMovement.shotMeter;
+    if (meter.idealPower === null) return 1;
+    const miss = Math.abs(level - meter.idealPower) - meter.perfectWindow;
+    if (miss <= 0) return 1;
+    return Math.max(0, 1 - miss / meter.tolerance);
+}
+
+function releaseShotMeter() {
+    /*
+    SPACE released: shoot with the meter level as the power and the quality of the release
+    returns the feedback message to show
+    */
+
+    const meter = basketballMovement.shotMeter;
+    const level = meter.level;
+    const quality = getReleaseQuality(level);
+    cancelShotMeter();
+
+    if (gamePause.paused || replayViewer.active) return '';
+    if (basketballMovement.shooting.active) return 'Ball is already in air!';
+
+    basketballMovement.shotPower.current = Math.round(level);
+    updatePowerUI();
+    shootBasketball(quality);
+    if (!basketballMovement.shooting.active) return ''; // the shot wasn't allowed
+
+    if (quality === 1) return `PERFECT RELEASE! Shot taken with power: ${basketballMovement.shotPower.current}%`;
+    if (quality >= 0.5) return `Good release (${Math.round(quality * 100)}%)`;
+    return `Bad release (${Math.round(quality * 100)}%) - let go in the green window`;
+}
+
+function updateShotMeterUI() {
+    /*
+    draw the meter fill and, while charging, the perfect window around the ideal power
+    */
+
+    const meter = basketballMovement.shotMeter;
+    const fill = document.getElementById('shot-meter-fill');
+    const perfectWindow = document.getElementById('shot-meter-window');
+
+    if (fill) {
+        fill.style.width = `${meter.level}%`;
+        fill.style.backgroundColor = meter.charging && getReleaseQuality(meter.level) === 1 ? '#00ff00' : '#ffffff';
+    }
+    if (perfectWindow) {
+        const showWindow = meter.charging && meter.idealPower !== null;
+        perfectWindow.style.display = showWindow ? 'block' : 'none';
+        if (showWindow) {
+            const start = Math.max(0, meter.idealPower - meter.perfectWindow);
+            const end = Math.min(100, meter.idealPower + meter.perfectWindow);
+            perfectWindow.style.left = `${start}%`;
+            perfectWindow.style.width = `${end - start}%`;
+        }
+    }
+}
+
+function toggleManualAim() {
+    /*
+    switch between assisted aim (easy) and manual aim
+    returns the feedback message to show
+    */
+
+    const aim = basketballMovement.aim;
+    if (aim.manual && DIFFICULTY_LEVELS[difficulty.current].manualAimOnly) {
+        return `${DIFFICULTY_LEVELS[difficulty.current].name} difficulty is manual aim only`;
+    }
+
+    aim.manual = !aim.manual;
+    updateAimUI();
+
+    return aim.manual ?
+        'Aim: Manual (J/L direction, T/G arc)' :
+        'Aim: Assisted (easy)';
+}
+
+function adjustAim(horizontalAmount, angleAmount) {
+    /*
+    move the manual aim left/right and raise/lower the release arc within limits
+    */
+
+    const aim = basketballMovement.aim;
+    aim.horizontalOffset = Math.min(
+        Math.max(aim.horizontalOffset + horizontalAmount, -aim.horizontalLimit),
+        aim.horizontalLimit
+    );
+    aim.releaseAngle = Math.min(Math.max(aim.releaseAngle + angleAmount, aim.minAngle), aim.maxAngle);
+
+    updateAimUI();
+}
+
+function getManualAim() {
+    /*
+    the aim handed to computeLaunchVelocity (radians), null when aim is assisted
+    */
+
+    const aim = basketballMovement.aim;
+    if (!aim.manual) return null;
+
+    return {
+        horizontalOffset: degrees_to_radians(aim.horizontalOffset),
+        releaseAngle: degrees_to_radians(aim.releaseAngle)
+    };
+}
+
+function updateAimUI() {
+    /*
+    show the manual aim values under the power bar
+    */
+
+    const aimStatus = document.getElementById('aim-status');
+    if (!aimStatus) return;
+
+    const aim = basketballMovement.aim;
+    if (aim.manual) {
+        const direction = aim.horizontalOffset === 0 ? 'center' :
+            `${Math.abs(aim.horizontalOffset).toFixed(1)}° ${aim.horizontalOffset < 0 ? 'left' : 'right'}`;
+        aimStatus.textContent = `Aim: ${direction} | Arc: ${aim.releaseAngle}°`;
+    } else {
+        aimStatus.textContent = 'Aim: Assisted (easy)';
+    }
+}
+
+function updateAimReticle() {
+    /*
+    place the reticle at rim height where the manual aim line passes the target basket
+    */
+
+    const aim = basketballMovement.aim;
+    if (!window.basketballGroup || !hoopColliders.left || !hoopColliders.right) return;
+
+    if (!aim.reticle) {
+        const reticleMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff3333,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        aim.reticle = new THREE.Mesh(new THREE.RingGeometry(0.22, 0.3, 32), reticleMaterial);
+
+        // cross hairs through the ring
+        const horizontalBar = new THREE.Mesh(new THREE.PlaneGeometry(0.8, 0.04), reticleMaterial);
+        const verticalBar = new THREE.Mesh(new THREE.PlaneGeometry(0.04, 0.8), reticleMaterial);
+        aim.reticle.add(horizontalBar);
+        aim.reticle.add(verticalBar);
+
+        aim.reticle.renderOrder = 999;
+        scene.add(aim.reticle);
+    }
+
+    aim.reticle.visible = aim.manual && !basketballMovement.shooting.active && !replayViewer.active;
+    if (!aim.reticle.visible) return;
+
+    const ball = window.basketballGroup.position;
+    const leftRim = hoopColliders.left.rim.center;
+    const rightRim = hoopColliders.right.rim.center;
+    const rim = Math.abs(ball.x - leftRim.x) < Math.abs(ball.x - rightRim.x) ? leftRim : rightRim;
+
+    // same turn of the horizontal direction as the manual launch
+    const dx = rim.x - ball.x;
+    const dz = rim.z - ball.z;
+    const offset = degrees_to_radians(aim.horizontalOffset);
+    const cos = Math.cos(offset);
+    const sin = Math.sin(offset);
+
+    aim.reticle.position.set(ball.x + dx * cos - dz * sin, rim.y, ball.z + dx * sin + dz * cos);
+    aim.reticle.lookAt(ball.x, rim.y, ball.z);
+}
+
+function resetBasketballPosition() {
+    /*
+    reset the basketball position and orientation to its original state
+    */
+
+    if (window.basketballGroup) {
+        const basketball = window.basketballGroup;
+        const originalY = basketball.originalY !== undefined ? basketball.originalY : basketball.position.y;
+        basketball.position.set(0, originalY, 0);
+
+        // reset ball orientation/rotation
+        basketball.rotation.set(0, 0, 0);
+
+        // reset movement speed
+        basketballMovement.currentSpeed.x = 0;
+        basketballMovement.currentSpeed.z = 0;
+        basketball.bouncePhase = 0;
+
+        // reset shot power to default only if not in free shoot mode
+        if (gameModes.current !== 'free-shoot' || gameStats.lastShotResult !== 'made') {
+            basketballMovement.shotPower.current = basketballMovement.shotPower.default;
+            updatePowerUI();
+        }
+        
+        // If shot is still active and no result was recorded, count it as a miss
+        // But only if it hasn't been marked as made and isn't pending a decision
+        if (basketballMovement.shooting.active && 
+            gameStats.lastShotResult === null && 
+            !window.shotHasBeenMade && 
+            !window.ballPendingScorekeeperDecision) {
+            
+            recordShotMissed();
+        }
+        
+        // stop shooting physics
+        basketballMovement.shooting.active = false;
+    }
+}
+
+function resetBallPosition() {
+    /*
+    helper function to reset ball position (used in scoring)
+    */
+
+    basketballMovement.shooting.active = false;
+    
+    // clear any pending timeout
+    if (window.missTimeoutId) {
+        clearTimeout(window.missTimeoutId);
+        window.missTimeoutId = null;
+    }
+    
+    // in free-shoot mode with a made shot, don't reset position but allow new shots
+    if (gameModes.current === 'free-shoot' && gameStats.lastShotResult === 'made') {
+        setTimeout(() => {
+            gameStats.lastShotResult = null;
+        }, 1000);
+        return;
+    }
+    
+    resetBasketballPosition();
+
+    // in Around the World the ball goes back to the spot being worked on
+    if (gameModes.modes[gameModes.current].aroundTheWorld) {
+        placeBallAtAroundTheWorldSpot();
+    }
+
+    // free throws always come from the line
+    if (gameModes.modes[gameModes.current].freeThrow) {
+        placeBallAtFreeThrowLine();
+    }
+    
+    window.ballPositionHistory = [];
+}
+
+// window resize for responsive UI
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+window.addEventListener('resize', onWindowResize, false);
+
+function updateBasketballPosition() {
+    /*
+    update the basketball position based on user input
     */
 
     if (!window.basketballGroup) return;
@@ -2461,6 +3770,12 @@ function updateBasketballPosition() {
         targetSpeedZ = basketballMovement.speed;
     }
 
+    // free throws are shot from the line, the ball can't be moved
+    if (gameModes.modes[gameModes.current].freeThrow) {
+        targetSpeedX = 0;
+        targetSpeedZ = 0;
+    }
+
     // apply smooth acceleration/deceleration
     if (targetSpeedX !== 0) {
         // accelerate towards target speed
@@ -2534,7 +3849,7 @@ function updateBasketballPosition() {
         }
 
         // for more natural movement
-        basketball.rotation.y += (Math.random() - 0.5) * 0.03;
+        basketball.rotation.y += (cosmeticRandom() - 0.5) * 0.03;
     }
 
     // court boundaries - keep the ball on the court
@@ -2571,9 +3886,89 @@ function updateBasketballPosition() {
     }
 }
 
-function shootBasketball() {
+function getTargetBasket(ballPosition) {
+    /*
+    centre of the rim closest to the ball (the ball collides with the backboard behind it)
+    */
+
+    const leftRim = hoopColliders.left.rim.center;
+    const rightRim = hoopColliders.right.rim.center;
+    const leftBasketPosition = new THREE.Vector3(leftRim.x, leftRim.y, leftRim.z);  // left basket
+    const rightBasketPosition = new THREE.Vector3(rightRim.x, rightRim.y, rightRim.z);  // right basket
+
+    const distanceToLeft = ballPosition.distanceTo(leftBasketPosition);
+    const distanceToRight = ballPosition.distanceTo(rightBasketPosition);
+    return distanceToLeft < distanceToRight ? leftBasketPosition : rightBasketPosition;
+}
+
+function computeShotVelocity(ballPosition, targetBasket, power = basketballMovement.shotPower.current) {
+    /*
+    launch velocity for a power (the current one by default), the aim and the difficulty before any release error
+    (see physics.js for the launch math)
+    */
+
+    return computeLaunchVelocity(
+        ballPosition,
+        targetBasket,
+        power,
+        basketballMovement.shooting.baseVelocity,
+        getManualAim(),
+        DIFFICULTY_LEVELS[difficulty.current].assist
+    );
+}
+
+function computeShotSpin(velocity) {
+    /*
+    angular velocity given to a shot by the chosen spin type
+    */
+
+    const shooting = basketballMovement.shooting;
+    const backspin = shooting.spinType === 'backspin' ? shooting.spinRates.backspin : 0;
+    const sidespin = shooting.spinType === 'sidespin' ? shooting.spinRates.sidespin : 0;
+    return computeLaunchSpin(velocity, backspin, sidespin);
+}
+
+function cycleSpinType() {
+    /*
+    switch between backspin, no spin and sidespin (B key)
+    returns the feedback message to show
+    */
+
+    const types = ['backspin', 'none', 'sidespin'];
+    const shooting = basketballMovement.shooting;
+    shooting.spinType = types[(types.indexOf(shooting.spinType) + 1) % types.length];
+    updateSpinUI();
+
+    return `Spin: ${SPIN_NAMES[shooting.spinType]}`;
+}
+
+function updateSpinUI() {
+    /*
+    show the chosen spin under the power bar
+    */
+
+    const spinStatus = document.getElementById('spin-status');
+    if (spinStatus) {
+        spinStatus.textContent = `Spin: ${SPIN_NAMES[basketballMovement.shooting.spinType]}`;
+    }
+}
+
+function rotateBallBySpin(ball, spin, deltaTime) {
+    /*
+    turn a ball mesh by its angular velocity (rad/s) over deltaTime
+    */
+
+    const rate = Math.sqrt(spin.x * spin.x + spin.y * spin.y + spin.z * spin.z);
+    if (rate < 1e-6) return;
+
+    spinRotation.setFromAxisAngle(spinAxis.set(spin.x / rate, spin.y / rate, spin.z / rate), rate * deltaTime);
+    ball.quaternion.premultiply(spinRotation);
+}
+
+function shootBasketball(releaseQuality = 1) {
     /*
     shoot the basketball based on the current power level
+    releaseQuality: how well the shot meter was released (1 = perfect, no error)
     */
 
     if (!window.basketballGroup) return;
@@ -2583,13 +3978,7 @@ function shootBasketball() {
 
     // calculate shooting direction - aim towards the closest basket
     const ballPosition = basketball.position;
-    const leftBasketPosition = new THREE.Vector3(-courtWidth/2, 6, 0);  // left basket
-    const rightBasketPosition = new THREE.Vector3(courtWidth/2, 6, 0);  // right basket
-
-    // determine which basket is closer
-    const distanceToLeft = ballPosition.distanceTo(leftBasketPosition);
-    const distanceToRight = ballPosition.distanceTo(rightBasketPosition);
-    const targetBasket = distanceToLeft < distanceToRight ? leftBasketPosition : rightBasketPosition;
+    const targetBasket = getTargetBasket(ballPosition);
 
     // reset tracking variables for new shot
     gameStats.lastShotResult = null;
@@ -2630,75 +4019,43 @@ function shootBasketball() {
     
     recordShotAttempt();
 
-    // calculate direction vector to the target basket
-    const direction = new THREE.Vector3();
-    direction.subVectors(targetBasket, ballPosition).normalize();
-    
-    // calculate optimal angle for the shot based on distance
-    const distance = ballPosition.distanceTo(targetBasket);
-
-    // calculate power factor based on current power level (0-1)
-    let powerFactor = 0.45 + (basketballMovement.shotPower.current / 100) * 0.5;
-    
-    // for close shots
-    if (distance < 3) {
-        powerFactor = Math.max(powerFactor, 0.6);
-        
-        if (distance < 1.5) {
-            powerFactor = Math.max(powerFactor, 0.7);
-        }
+    // launch towards the target basket
+    basketballMovement.shooting.velocity = computeShotVelocity(ballPosition, targetBasket);
+
+    // an imperfect release sends the ball a little long/short and off line
+    if (releaseQuality < 1) {
+        const meter = basketballMovement.shotMeter;
+        const error = (1 - releaseQuality) * DIFFICULTY_LEVELS[difficulty.current].releaseError;
+        basketballMovement.shooting.velocity = applyReleaseError(
+            basketballMovement.shooting.velocity,
+            (random() * 2 - 1) * meter.maxSpeedError * error,
+            degrees_to_radians((random() * 2 - 1) * meter.maxAngleError * error)
+        );
     }
 
-    // set velocity based on direction and power
-    const velocity = basketballMovement.shooting.baseVelocity * powerFactor;
-
-    // height diff between ball and basket
-    const heightDiff = 6 - ballPosition.y;
-
-    let verticalAngle;
-    
-    if (distance < 1.5) {
-        verticalAngle = Math.PI / 1.7;
-    } 
-    else if (distance < 3) {
-        verticalAngle = Math.PI / 2.0; // high arc for close shots
-    }
-    else if (distance < 6) {
-        verticalAngle = Math.PI / 2.5 + (6 - distance) / 10;
-    }
-    else if (distance < 10) {
-        verticalAngle = Math.PI / 3 + (10 - distance) / 20;
-    }
-    else {
-        verticalAngle = Math.PI / 4 + (distance / 40) * 0.5;
-        verticalAngle = Math.min(verticalAngle, Math.PI / 2.8);
-    }
+    basketballMovement.shooting.spin = computeShotSpin(basketballMovement.shooting.velocity);
 
-    // set initial velocities
-    basketballMovement.shooting.velocity.x = direction.x * velocity * Math.cos(verticalAngle);
-    basketballMovement.shooting.velocity.z = direction.z * velocity * Math.cos(verticalAngle);
-    basketballMovement.shooting.velocity.y = velocity * Math.sin(verticalAngle);
-    
-    let verticalBoostFactor;
-    
-    if (distance < 1.5) {
-        verticalBoostFactor = 0.6;
-    } 
-    else if (distance < 3) {
-        verticalBoostFactor = 0.5;
-    }
-    else if (distance < 6) {
-        verticalBoostFactor = 0.4;
-    }
-    else {
-        verticalBoostFactor = 0.35;
+    // start the simulated state at the release point
+    basketballMovement.shooting.position = {
+        x: basketball.position.x,
+        y: basketball.position.y,
+        z: basketball.position.z
+    };
+    basketballMovement.shooting.lastPosition = { ...basketballMovement.shooting.position };
+    physicsAccumulator = 0;
+
+    startShotRecording(targetBasket);
+
+    // let the opponent replay the same launch
+    if (onlineMatch.connection && onlineMatch.side) {
+        onlineMatch.connection.sendShot(
+            basketballMovement.shooting.position,
+            basketballMovement.shooting.velocity,
+            basketballMovement.shooting.spin,
+            difficulty.current,
+            gameModes.current
+        );
     }
-    
-    const verticalBoost = heightDiff * verticalBoostFactor;
-    
-    basketballMovement.shooting.velocity.y += verticalBoost;
-    // store the last position for collision detection
-    basketballMovement.shooting.lastPosition = basketball.position.clone();
 }
 
 // ==============================
@@ -2707,56 +4064,37 @@ function shootBasketball() {
 
 function updateShootingPhysics(deltaTime) {
     /*
-    update the physics of a basketball in air
+    advance the physics of a basketball in air by one fixed timestep
+    (the mesh itself is placed by renderInterpolatedBall)
     */
 
     if (!window.basketballGroup || !basketballMovement.shooting.active) return;
 
     const basketball = window.basketballGroup;
 
-    // store last position for collision detection
-    basketballMovement.shooting.lastPosition = basketball.position.clone();
-
-    basketballMovement.shooting.velocity.y += GRAVITY * deltaTime;
+    // store last position for render interpolation
+    basketballMovement.shooting.lastPosition = basketballMovement.shooting.position;
 
-    // apply air resistance (slowing the ball down slightly)
-    basketballMovement.shooting.velocity.x *= (1 - AIR_RESISTANCE * deltaTime);
-    basketballMovement.shooting.velocity.y *= (1 - AIR_RESISTANCE * deltaTime);
-    basketballMovement.shooting.velocity.z *= (1 - AIR_RESISTANCE * deltaTime);
+    // advance the ball with the headless simulation (spin, Magnus force and contact friction included)
+    const step = stepBall({
+        position: basketballMovement.shooting.position,
+        velocity: basketballMovement.shooting.velocity,
+        spin: basketballMovement.shooting.spin
+    }, deltaTime, physicsWorld);
 
-    // move the ball based on velocity
-    basketball.position.x += basketballMovement.shooting.velocity.x * deltaTime;
-    basketball.position.y += basketballMovement.shooting.velocity.y * deltaTime;
-    basketball.position.z += basketballMovement.shooting.velocity.z * deltaTime;
+    basketballMovement.shooting.position = step.state.position;
+    basketballMovement.shooting.velocity = step.state.velocity;
+    basketballMovement.shooting.spin = step.state.spin;
 
-    // rotate the ball for visual effect (more spin with higher velocity)
-    const speed = Math.sqrt(
-        basketballMovement.shooting.velocity.x * basketballMovement.shooting.velocity.x +
-        basketballMovement.shooting.velocity.y * basketballMovement.shooting.velocity.y +
-        basketballMovement.shooting.velocity.z * basketballMovement.shooting.velocity.z
-    );
-
-    // consistent backspin rotation regardless of shot direction
-    const spinFactor = basketballMovement.shooting.spinFactor;
-    const horizontalSpeed = Math.sqrt(
-        basketballMovement.shooting.velocity.x * basketballMovement.shooting.velocity.x +
-        basketballMovement.shooting.velocity.z * basketballMovement.shooting.velocity.z
-    );
-    
-    // always apply backspin (backward rotation) proportional to horizontal speed
-    basketball.rotation.x -= horizontalSpeed * spinFactor; // negative = backspin
-    
-    // minimal side spin for natural ball movement
-    basketball.rotation.z += Math.abs(basketballMovement.shooting.velocity.x) * spinFactor * 0.2;
+    const ballPosition = new THREE.Vector3(step.state.position.x, step.state.position.y, step.state.position.z);
 
-    // random rotation for realism
-    basketball.rotation.y += (Math.random() - 0.5) * 0.02 * speed;
+    // the mesh turns with the ball's real angular velocity
+    rotateBallBySpin(basketball, basketballMovement.shooting.spin, deltaTime);
 
-    // detect collisions with the floor
-    if (basketball.position.y < basketballMovement.shooting.floorY) {
-        // ball hit the floor
-        basketball.position.y = basketballMovement.shooting.floorY;
+    recordReplayFrame(deltaTime);
 
+    // ball hit the floor
+    if (step.contacts.floor) {
         const isPendingScorekeeperDecision = window.ballPendingScorekeeperDecision === true;
         const shotHasBeenMade = window.shotHasBeenMade === true;
         
@@ -2767,8 +4105,10 @@ function updateShootingPhysics(deltaTime) {
             !shotHasBeenMade) {
             
             // check distance from both rims before calling it a miss
-            const leftDistance = basketball.position.distanceTo(new THREE.Vector3(-14.5, 6, 0));
-            const rightDistance = basketball.position.distanceTo(new THREE.Vector3(14.5, 6, 0));
+            const leftRim = hoopColliders.left.rim.center;
+            const rightRim = hoopColliders.right.rim.center;
+            const leftDistance = ballPosition.distanceTo(new THREE.Vector3(leftRim.x, leftRim.y, leftRim.z));
+            const rightDistance = ballPosition.distanceTo(new THREE.Vector3(rightRim.x, rightRim.y, rightRim.z));
             
             if (leftDistance > 3 && rightDistance > 3) {
                 if (!window.ballPendingScorekeeperDecision && !window.shotHasBeenMade) {
@@ -2777,44 +4117,41 @@ function updateShootingPhysics(deltaTime) {
             }
         }
 
-        // bounce with energy loss
-        const bounceFactor = 0.6;
-        basketballMovement.shooting.velocity.y = -basketballMovement.shooting.velocity.y * bounceFactor;
-
-        // reduce horizontal velocity due to friction with floor
-        const frictionFactor = 0.9;
-        basketballMovement.shooting.velocity.x *= frictionFactor;
-        basketballMovement.shooting.velocity.z *= frictionFactor;
-
         // if the ball is moving very slowly after a bounce, end the shot
-        if (Math.abs(basketballMovement.shooting.velocity.y) < 0.5) {
-            if (speed < 0.5) {
-                basketballMovement.shooting.active = false;
-                basketballMovement.currentSpeed.x = 0;
-                basketballMovement.currentSpeed.z = 0;
+        if (step.atRest) {
+            // a ball that dies near the rim without going in is still a miss
+            if (gameStats.lastShotResult === null &&
+                !window.shotHasBeenMade &&
+                !window.ballPendingScorekeeperDecision) {
+                recordShotMissed();
             }
+
+            basketballMovement.shooting.active = false;
+            basketballMovement.currentSpeed.x = 0;
+            basketballMovement.currentSpeed.z = 0;
         }
     }
 
-    // detect collision with court boundaries
-    if (basketball.position.x < basketballMovement.courtBounds.minX) {
-        basketball.position.x = basketballMovement.courtBounds.minX;
-        basketballMovement.shooting.velocity.x = -basketballMovement.shooting.velocity.x * 0.8;
-    } else if (basketball.position.x > basketballMovement.courtBounds.maxX) {
-        basketball.position.x = basketballMovement.courtBounds.maxX;
-        basketballMovement.shooting.velocity.x = -basketballMovement.shooting.velocity.x * 0.8;
-    }
+    // Simple detection for basket scoring (could be enhanced further)
+    checkForScoring(ballPosition);
+}
 
-    if (basketball.position.z < basketballMovement.courtBounds.minZ) {
-        basketball.position.z = basketballMovement.courtBounds.minZ;
-        basketballMovement.shooting.velocity.z = -basketballMovement.shooting.velocity.z * 0.8;
-    } else if (basketball.position.z > basketballMovement.courtBounds.maxZ) {
-        basketball.position.z = basketballMovement.courtBounds.maxZ;
-        basketballMovement.shooting.velocity.z = -basketballMovement.shooting.velocity.z * 0.8;
-    }
+function renderInterpolatedBall(alpha) {
+    /*
+    place the basketball mesh between the last two physics steps
+    alpha: fraction of a timestep left in the accumulator (0-1)
+    */
 
-    // Simple detection for basket scoring (could be enhanced further)
-    checkForScoring(basketball.position);
+    if (!window.basketballGroup || !basketballMovement.shooting.position) return;
+
+    const previous = basketballMovement.shooting.lastPosition || basketballMovement.shooting.position;
+    const current = basketballMovement.shooting.position;
+
+    window.basketballGroup.position.set(
+        previous.x + (current.x - previous.x) * alpha,
+        previous.y + (current.y - previous.y) * alpha,
+        previous.z + (current.z - previous.z) * alpha
+    );
 }
 
 function checkForScoring(position) {
@@ -2823,11 +4160,11 @@ function checkForScoring(position) {
     */
 
     // define basket rim positions and scoring conditions
-    const leftRimPosition = new THREE.Vector3(-14.5, 6, 0);
-    const rightRimPosition = new THREE.Vector3(14.5, 6, 0);
-    const rimRadius = 0.6;
-    const scoringHeight = 6.0;
-    const scoringThreshold = 0.45;
+    const leftRimPosition = hoopColliders.left.rim.center;
+    const rightRimPosition = hoopColliders.right.rim.center;
+    const rimRadius = hoopColliders.left.rim.radius;
+    const scoringHeight = leftRimPosition.y;
+    const scoringThreshold = DIFFICULTY_LEVELS[difficulty.current].scoringTolerance;
     const heightThreshold = 0.35;
     
     // additional threshold for net animation
@@ -2890,17 +4227,7 @@ function checkForScoring(position) {
                     window.leftBasketNet.animateNet(position);
                 }
                 
-                if (gameModes.current !== 'free-shoot') {
-                    setTimeout(() => {
-                        window.ballPendingScorekeeperDecision = false;
-                        resetBallPosition();
-                    }, 1000);
-                } else {
-                    setTimeout(() => {
-                        window.ballPendingScorekeeperDecision = false;
-                        gameStats.lastShotResult = null;
-                    }, 1000);
-                }
+                scheduleScoreReset();
             }
             return;
         }
@@ -2922,17 +4249,7 @@ function checkForScoring(position) {
                     window.rightBasketNet.animateNet(position);
                 }
                 
-                if (gameModes.current !== 'free-shoot') {
-                    setTimeout(() => {
-                        window.ballPendingScorekeeperDecision = false;
-                        resetBallPosition();
-                    }, 1000);
-                } else {
-                    setTimeout(() => {
-                        window.ballPendingScorekeeperDecision = false;
-                        gameStats.lastShotResult = null;
-                    }, 1000);
-                }
+                scheduleScoreReset();
             }
             return;
         }
@@ -2957,6 +4274,25 @@ function checkForScoring(position) {
     }
 }
 
+function scheduleScoreReset() {
+    /*
+    give the net a second after a make, then bring the ball back
+    (free shoot leaves the ball where it is and only clears the result)
+    */
+
+    const freeShoot = gameModes.current === 'free-shoot';
+
+    window.scoreResetTimeoutId = setTimeout(() => {
+        window.scoreResetTimeoutId = null;
+        window.ballPendingScorekeeperDecision = false;
+        if (freeShoot) {
+            gameStats.lastShotResult = null;
+        } else {
+            resetBallPosition();
+        }
+    }, 1000);
+}
+
 function handleScore(team) {
     /*
     update the score when a basket is made
@@ -2973,10 +4309,12 @@ function handleScore(team) {
 
     // check game mode restrictions
     const mode = gameModes.modes[gameModes.current];
-    if (mode.restrictToThreePointers && !isThreePointer) {
+    const shotZone = gameStats.lastShotPosition && gameStats.lastShotPosition.targetBasket ?
+        classifyShotZone(gameStats.lastShotPosition, gameStats.lastShotPosition.targetBasket) : null;
+    if (mode.allowedZones && shotZone && !zoneInList(shotZone, mode.allowedZones)) {
         const keyFeedback = document.getElementById('key-feedback');
         if (keyFeedback) {
-            keyFeedback.textContent = 'Shot made but doesn\'t count - not a 3-pointer!';
+            keyFeedback.textContent = `Shot made but doesn't count - not from the ${mode.allowedZones.map(zoneDisplayName).join(' or ')}!`;
             keyFeedback.style.opacity = '1';
             keyFeedback.style.color = '#ffaa00';
             
@@ -2989,6 +4327,11 @@ function handleScore(team) {
 
     recordShotMade(isThreePointer);
 
+    // in head-to-head the points belong to whoever shot, whichever basket it went in
+    if (mode.twoPlayer) {
+        team = headToHead.current === 0 ? 'home' : 'away';
+    }
+
     const homeScoreElement = document.getElementById('home-score');
     const awayScoreElement = document.getElementById('away-score');
 
@@ -2997,8 +4340,15 @@ function handleScore(team) {
     let homeScore = parseInt(homeScoreElement.textContent);
     let awayScore = parseInt(awayScoreElement.textContent);
 
-    // decide points to add (2 or 3)
-    const pointsToAdd = isThreePointer ? 3 : 2;
+    // decide points to add (per zone, usually 2 or 3)
+    const pointsToAdd = shotPointValue(isThreePointer);
+
+    // online the server keeps the score - it scores the shot from its release point and
+    // broadcasts the new totals to both players
+    if (onlineMatch.connection && onlineMatch.side) {
+        onlineMatch.connection.sendResult('made');
+        return;
+    }
 
     // increment the relevant score
     if (team === 'home') {
@@ -3081,34 +4431,1701 @@ function showTimedChallengeResults(modeName, finalScore, shotsMade, shotAttempts
         overlay.style.opacity = '1';
         content.style.transform = 'scale(1)';
     }, 100);
-    
+}
+
+function closeTimedChallengeResults() {
+    /*
+    hide the challenge results after a delay and go back to free shoot
+    */
+
+    const overlay = document.getElementById('challenge-results-overlay');
+    const content = document.getElementById('challenge-results-content');
+    const returnMessage = document.getElementById('challenge-return-message');
+    if (returnMessage) returnMessage.style.display = 'block';
+
     // Hide after delay
-    setTimeout(() => {
+    resultsTimeoutIds.push(setTimeout(() => {
         overlay.style.opacity = '0';
         content.style.transform = 'scale(0.8)';
         
+        resultsTimeoutIds.push(setTimeout(() => {
+            // Make the overlay non-interactive again when hidden
+            overlay.style.pointerEvents = 'none';
+        
+        }, 500));
+    }, 5500));
+
+    // reset to free mode after showing results
+    resultsTimeoutIds.push(setTimeout(() => {
+        enterGameMode('free-shoot');
+    }, 6000));
+}
+
+function hideTimedChallengeResults() {
+    /*
+    hide the results overlay straight away (when the results state is left early)
+    */
+
+    const overlay = document.getElementById('challenge-results-overlay');
+    const content = document.getElementById('challenge-results-content');
+    const nameEntry = document.getElementById('challenge-name-entry');
+    if (!overlay || !content) return;
+
+    overlay.style.opacity = '0';
+    overlay.style.pointerEvents = 'none';
+    content.style.transform = 'scale(0.8)';
+    if (nameEntry) nameEntry.style.display = 'none';
+}
+
+function promptForLeaderboardName(onDone) {
+    /*
+    show the initials prompt in the results overlay
+    onDone(initials) is called once on save (Enter) or skip (Escape, saved as "???")
+    leaving the results screen any other way drops the prompt without calling it
+    */
+
+    const nameEntry = document.getElementById('challenge-name-entry');
+    const input = document.getElementById('challenge-initials');
+    const saveButton = document.getElementById('challenge-save-score');
+    const returnMessage = document.getElementById('challenge-return-message');
+
+    nameEntry.style.display = 'block';
+    if (returnMessage) returnMessage.style.display = 'none';
+    input.value = '';
+    setTimeout(() => input.focus(), 150);
+
+    function removeListeners() {
+        input.removeEventListener('keydown', onInputKey);
+        saveButton.removeEventListener('click', onSave);
+        nameEntry.style.display = 'none';
+        input.blur();
+        cancelLeaderboardPrompt = null;
+    }
+
+    function finish(initials) {
+        removeListeners();
+        onDone(initials);
+    }
+
+    function onSave() {
+        finish(input.value);
+    }
+
+    function onInputKey(e) {
+        if (e.key === 'Enter') {
+            finish(input.value);
+        } else if (e.key === 'Escape') {
+            finish('');
+        }
+    }
+
+    input.addEventListener('keydown', onInputKey);
+    saveButton.addEventListener('click', onSave);
+    cancelLeaderboardPrompt = removeListeners;
+}
+
+function renderChallengeLeaderboard(tableBodyId, entries, highlightRank) {
+    /*
+    fill a leaderboard table (local or LAN) in the results overlay
+    highlightRank: 1-based rank of the player's new entry (0 for none)
+    */
+
+    const tableBody = document.getElementById(tableBodyId);
+    if (!tableBody) return;
+
+    tableBody.innerHTML = '';
+
+    if (entries.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 5;
+        cell.textContent = 'No scores yet - be the first!';
+        cell.style.color = '#aaaaaa';
+        row.appendChild(cell);
+        tableBody.appendChild(row);
+        return;
+    }
+
+    entries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        if (index + 1 === highlightRank) {
+            row.style.color = '#00ff00';
+            row.style.fontWeight = 'bold';
+        }
+
+        [
+            `${index + 1}.`,
+            entry.initials,
+            entry.score,
+            `${entry.accuracy}%`,
+            new Date(entry.date).toLocaleDateString()
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        tableBody.appendChild(row);
+    });
+}
+
+function resetGameMode() {
+    /*
+    restart the current game mode (fresh timer, stats and mode state)
+    */
+
+    enterGameMode(gameModes.current);
+}
+
+// ============================
+// TWO-PLAYER HEAD-TO-HEAD MODE
+// ============================
+
+function createEmptyPlayerStats() {
+    return { shotAttempts: 0, shotsMade: 0, points: 0, turnovers: 0, shotHistory: [] };
+}
+
+function resetHeadToHead() {
+    /*
+    give both players fresh stats and the ball to player 1
+    (also redraws the scoreboard labels when entering/leaving the mode)
+    */
+
+    if (headToHead.possessionTimeoutId) {
+        clearTimeout(headToHead.possessionTimeoutId);
+        headToHead.possessionTimeoutId = null;
+    }
+
+    headToHead.players.forEach(player => {
+        player.stats = createEmptyPlayerStats();
+    });
+    headToHead.current = 0;
+
+    resetHorseGame();
+    updatePlayerIndicatorUI();
+    refreshScoreboardDisplay();
+}
+
+function schedulePossessionChange() {
+    /*
+    hand the ball to the other player once the current shot has a result
+    */
+
+    if (!gameModes.modes[gameModes.current].twoPlayer || headToHead.possessionTimeoutId) return;
+    if (horseGame.winner !== null) return;
+
+    headToHead.possessionTimeoutId = setTimeout(() => {
+        headToHead.possessionTimeoutId = null;
+
+        // keep the finished player's numbers and load the next player's
+        const finished = headToHead.players[headToHead.current];
+        finished.stats = {
+            shotAttempts: gameStats.shotAttempts,
+            shotsMade: gameStats.shotsMade,
+            points: gameStats.points,
+            turnovers: gameStats.turnovers,
+            shotHistory: gameStats.shotHistory
+        };
+
+        headToHead.current = 1 - headToHead.current;
+        const next = headToHead.players[headToHead.current];
+        gameStats.shotAttempts = next.stats.shotAttempts;
+        gameStats.shotsMade = next.stats.shotsMade;
+        gameStats.points = next.stats.points;
+        gameStats.turnovers = next.stats.turnovers;
+        gameStats.shotHistory = next.stats.shotHistory;
+        gameStats.lastShotResult = null;
+        updateStatsUI();
+        updateShotChart();
+        updateZoneStatsUI();
+
+        // a new round starts when the ball is back with player 1
+        if (headToHead.current === 0) {
+            gameModes.period++;
+        }
+        resetShotClock(false);
+
+        // the next player starts from centre court
+        resetBasketballPosition();
+
+        updatePlayerIndicatorUI();
+        refreshScoreboardDisplay();
+
+        const keyFeedback = document.getElementById('key-feedback');
+        if (keyFeedback) {
+            keyFeedback.textContent = `${next.name}'s turn to shoot!`;
+            keyFeedback.style.opacity = '1';
+            keyFeedback.style.color = headToHead.current === 0 ? '#00aaff' : '#ff4400';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 2500);
+        }
+    }, headToHead.possessionDelay);
+}
+
+function updatePlayerIndicatorUI() {
+    /*
+    show whose turn it is and both players' totals in the game mode panel
+    */
+
+    const indicator = document.getElementById('player-indicator');
+    if (!indicator) return;
+
+    if (!gameModes.modes[gameModes.current].twoPlayer) {
+        indicator.style.display = 'none';
+        return;
+    }
+
+    const current = headToHead.players[headToHead.current];
+    indicator.style.display = 'block';
+    document.getElementById('player-turn').textContent = `🏀 ${current.name} to shoot`;
+    document.getElementById('player-turn').style.color = headToHead.current === 0 ? '#00aaff' : '#ff4400';
+
+    // the player with the ball has live numbers in gameStats
+    headToHead.players.forEach((player, index) => {
+        const stats = index === headToHead.current ? gameStats : player.stats;
+        document.getElementById(`player${index + 1}-summary`).textContent =
+            `${player.name}: ${stats.points} pts (${stats.shotsMade}/${stats.shotAttempts})`;
+    });
+}
+
+// ===============
+// H-O-R-S-E MODE
+// ===============
+
+function resetHorseGame() {
+    /*
+    clear the letters, the required spot and give the lead to player 1
+    */
+
+    horseGame.letters = [0, 0];
+    horseGame.leader = 0;
+    horseGame.requiredSpot = null;
+    horseGame.winner = null;
+
+    updateHorseMarker();
+    updateHorseTrackerUI();
+}
+
+function resolveHorseShot(made) {
+    /*
+    apply the H-O-R-S-E rules to the shot that just finished
+    leader makes -> the follower must match it from the same spot
+    leader misses -> the lead passes to the other player
+    follower misses a required shot -> follower takes a letter
+    */
+
+    if (!gameModes.modes[gameModes.current].horse || horseGame.winner !== null) return;
+
+    const shooter = headToHead.current;
+    const shooterName = headToHead.players[shooter].name;
+    let message;
+    let color = '#ffff00';
+
+    if (shooter === horseGame.leader) {
+        if (made && gameStats.lastShotPosition) {
+            horseGame.requiredSpot = { x: gameStats.lastShotPosition.x, z: gameStats.lastShotPosition.z };
+            message = `${shooterName} set the shot - match it from the yellow ring!`;
+        } else {
+            horseGame.leader = 1 - shooter;
+            message = `${shooterName} missed - ${headToHead.players[horseGame.leader].name} takes the lead`;
+            color = '#ffaa00';
+        }
+    } else {
+        if (made) {
+            message = `${shooterName} matched the shot!`;
+            color = '#00ff00';
+        } else {
+            horseGame.letters[shooter]++;
+            const spelled = HORSE_WORD.slice(0, horseGame.letters[shooter]);
+            message = `${shooterName} takes a letter: ${spelled}`;
+            color = '#ff4444';
+
+            if (horseGame.letters[shooter] >= HORSE_WORD.length) {
+                horseGame.winner = 1 - shooter;
+                message = `${shooterName} spelled ${HORSE_WORD} - ${headToHead.players[horseGame.winner].name} wins! (R to play again)`;
+                color = '#00ff00';
+            }
+        }
+        horseGame.requiredSpot = null;
+    }
+
+    updateHorseMarker();
+    updateHorseTrackerUI();
+
+    const keyFeedback = document.getElementById('key-feedback');
+    if (keyFeedback) {
+        keyFeedback.textContent = message;
+        keyFeedback.style.opacity = '1';
+        keyFeedback.style.color = color;
+
+        setTimeout(() => {
+            keyFeedback.style.opacity = '0';
+        }, horseGame.winner !== null ? 6000 : 3000);
+    }
+}
+
+function updateHorseMarker() {
+    /*
+    show a ring on the court around the spot the follower must shoot from
+    */
+
+    if (!horseGame.marker) {
+        const ringGeometry = new THREE.RingGeometry(horseGame.tolerance - 0.08, horseGame.tolerance, 48);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffff00,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+        horseGame.marker = new THREE.Mesh(ringGeometry, ringMaterial);
+        horseGame.marker.rotation.x = -degrees_to_radians(90);
+
+        // small dot in the middle of the ring marks the exact spot
+        const dot = new THREE.Mesh(new THREE.CircleGeometry(0.12, 24), ringMaterial);
+        horseGame.marker.add(dot);
+
+        horseGame.marker.visible = false;
+        scene.add(horseGame.marker);
+    }
+
+    const spot = horseGame.requiredSpot;
+    horseGame.marker.visible = !!spot && !!gameModes.modes[gameModes.current].horse;
+    if (spot) {
+        horseGame.marker.position.set(spot.x, 0.13, spot.z);
+    }
+}
+
+function updateHorseTrackerUI() {
+    /*
+    show each player's letters and who is leading in the game mode panel
+    */
+
+    const tracker = document.getElementById('horse-tracker');
+    if (!tracker) return;
+
+    if (!gameModes.modes[gameModes.current].horse) {
+        tracker.style.display = 'none';
+        return;
+    }
+
+    tracker.style.display = 'block';
+    headToHead.players.forEach((player, index) => {
+        const letters = HORSE_WORD.split('').map((letter, i) => i < horseGame.letters[index] ? letter : '_').join(' ');
+        const role = horseGame.winner === index ? ' 🏆' : (horseGame.leader === index ? ' (leader)' : '');
+        document.getElementById(`horse-player${index + 1}`).textContent = `${player.name}: ${letters}${role}`;
+    });
+
+    const status = document.getElementById('horse-status');
+    if (horseGame.winner !== null) {
+        status.textContent = `${headToHead.players[horseGame.winner].name} wins!`;
+    } else if (horseGame.requiredSpot) {
+        status.textContent = 'Match the shot from the yellow ring';
+    } else {
+        status.textContent = `${headToHead.players[horseGame.leader].name} sets the next shot`;
+    }
+}
+
+function refreshScoreboardDisplay() {
+    /*
+    redraw the HTML and 3D scoreboards with the current scores and labels
+    */
+
+    const homeScoreElement = document.getElementById('home-score');
+    const awayScoreElement = document.getElementById('away-score');
+    const homeScore = homeScoreElement ? parseInt(homeScoreElement.textContent) : 0;
+    const awayScore = awayScoreElement ? parseInt(awayScoreElement.textContent) : 0;
+
+    const isHeadToHead = gameModes.modes[gameModes.current].twoPlayer;
+    const homeLabelElement = document.getElementById('home-label');
+    const awayLabelElement = document.getElementById('away-label');
+    if (homeLabelElement) homeLabelElement.textContent = isHeadToHead ? headToHead.players[0].name.toUpperCase() : 'HOME';
+    if (awayLabelElement) awayLabelElement.textContent = isHeadToHead ? headToHead.players[1].name.toUpperCase() : 'AWAY';
+
+    if (window.updateScoreboardDisplay && window.scoreboardTexture) {
+        window.updateScoreboardDisplay(homeScore, awayScore);
+        window.scoreboardTexture.needsUpdate = true;
+    }
+}
+
+// =========================
+// SHOT RECORDING AND REPLAY
+// =========================
+
+function startShotRecording(targetBasket) {
+    /*
+    log the attempt that was just taken and start a new replay recording for it
+    */
+
+    const attempt = {
+        mode: gameModes.current,
+        difficulty: difficulty.current,
+        origin: { x: gameStats.lastShotPosition.x, z: gameStats.lastShotPosition.z },
+        targetBasket: { x: targetBasket.x, y: targetBasket.y, z: targetBasket.z },
+        power: basketballMovement.shotPower.current,
+        result: null, // made/missed once decided
+        points: 0,
+        takenAt: Date.now(),
+        resolvedAt: null
+    };
+    sessionLog.attempts.push(attempt);
+
+    activeShotReplay = {
+        attempt: attempt,
+        duration: 0,
+        frames: []
+    };
+
+    shotReplays.push(activeShotReplay);
+    if (shotReplays.length > MAX_SHOT_REPLAYS) {
+        shotReplays.shift();
+    }
+
+    // first sample at the release point
+    recordReplayFrame(0);
+}
+
+function recordReplayFrame(deltaTime) {
+    /*
+    append the current ball state to the shot being recorded
+    */
+
+    if (!activeShotReplay || !window.basketballGroup) return;
+
+    const position = basketballMovement.shooting.position;
+    const velocity = basketballMovement.shooting.velocity;
+    const quaternion = window.basketballGroup.quaternion;
+
+    activeShotReplay.duration += deltaTime;
+    activeShotReplay.frames.push({
+        t: activeShotReplay.duration,
+        position: { x: position.x, y: position.y, z: position.z },
+        quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+        velocity: { x: velocity.x, y: velocity.y, z: velocity.z }
+    });
+}
+
+function startReplay(index) {
+    /*
+    pause the live game and start playing back a recorded shot
+    returns the feedback message to show
+    */
+
+    if (basketballMovement.shooting.active) {
+        return 'Wait for the shot to finish before replaying it!';
+    }
+    if (!shotReplays[index]) {
+        return 'No shots recorded yet - take a shot first!';
+    }
+
+    cancelShotMeter();
+
+    const basketball = window.basketballGroup;
+
+    // remember the live ball so we can put it back afterwards
+    replayViewer.savedBall = {
+        position: basketball.position.clone(),
+        quaternion: basketball.quaternion.clone()
+    };
+
+    // freeze the game timer while reviewing
+    replayViewer.savedTimerRemaining = null;
+    if (gameModes.timer.active) {
+        replayViewer.savedTimerRemaining = gameModes.timer.remaining;
+        stopGameTimer();
+    }
+
+    // drop any held movement keys so the ball doesn't drift after the replay
+    basketballMovement.keysPressed = {};
+    basketballMovement.currentSpeed.x = 0;
+    basketballMovement.currentSpeed.z = 0;
+
+    replayViewer.active = true;
+    replayViewer.index = index;
+    replayViewer.time = 0;
+    replayViewer.playing = true;
+
+    applyReplayFrame();
+    updateReplayUI();
+
+    return `Replaying shot ${index + 1} of ${shotReplays.length}`;
+}
+
+function stopReplay() {
+    /*
+    leave the replay viewer and resume the live game
+    */
+
+    if (!replayViewer.active) return;
+
+    replayViewer.active = false;
+
+    const basketball = window.basketballGroup;
+    if (replayViewer.savedBall) {
+        basketball.position.copy(replayViewer.savedBall.position);
+        basketball.quaternion.copy(replayViewer.savedBall.quaternion);
+        replayViewer.savedBall = null;
+    }
+
+    // resume the game timer where it was paused
+    if (replayViewer.savedTimerRemaining !== null) {
+        startGameTimer(replayViewer.savedTimerRemaining);
+        replayViewer.savedTimerRemaining = null;
+    }
+
+    updateReplayUI();
+}
+
+function handleReplayKey(e) {
+    /*
+    handle replay playback controls
+    returns the feedback message to show
+    */
+
+    const replay = shotReplays[replayViewer.index];
+
+    if (e.key === "v" || e.key === "V" || e.key === "Escape") {
+        stopReplay();
+        return 'Replay closed';
+    }
+    else if (e.key === " ") {
+        // restart from the beginning once the end has been reached
+        if (!replayViewer.playing && replayViewer.time >= replay.duration) {
+            replayViewer.time = 0;
+        }
+        replayViewer.playing = !replayViewer.playing;
+    }
+    else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+        // scrub frame by frame (pauses playback)
+        const direction = e.key === "ArrowRight" ? 1 : -1;
+        replayViewer.playing = false;
+        replayViewer.time = Math.min(
+            Math.max(replayViewer.time + direction * replayViewer.scrubStep, 0),
+            replay.duration
+        );
+    }
+    else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+        const direction = e.key === "ArrowUp" ? 1 : -1;
+        replayViewer.speedIndex = Math.min(
+            Math.max(replayViewer.speedIndex + direction, 0),
+            replayViewer.speeds.length - 1
+        );
+        updateReplayUI();
+        return `Replay speed: ${replayViewer.speeds[replayViewer.speedIndex]}x`;
+    }
+    else if (e.key === "[" || e.key === "]") {
+        // step through the recorded shots
+        const direction = e.key === "]" ? 1 : -1;
+        const newIndex = replayViewer.index + direction;
+        if (newIndex < 0 || newIndex >= shotReplays.length) {
+            return 'No more recorded shots';
+        }
+        replayViewer.index = newIndex;
+        replayViewer.time = 0;
+        replayViewer.playing = true;
+    }
+
+    applyReplayFrame();
+    updateReplayUI();
+    return '';
+}
+
+function updateReplay(frameTime) {
+    /*
+    advance replay playback (called every frame instead of the live physics)
+    */
+
+    const replay = shotReplays[replayViewer.index];
+    if (!replay) return;
+
+    if (replayViewer.playing) {
+        replayViewer.time += frameTime * replayViewer.speeds[replayViewer.speedIndex];
+
+        // hold on the last frame once the shot is over
+        if (replayViewer.time >= replay.duration) {
+            replayViewer.time = replay.duration;
+            replayViewer.playing = false;
+        }
+
+        applyReplayFrame();
+        updateReplayUI();
+    }
+}
+
+function sampleReplay(replay, time) {
+    /*
+    interpolate the recorded ball state at the given time
+    */
+
+    const frames = replay.frames;
+
+    // binary search for the last frame at or before the requested time
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid].t <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    const from = frames[low];
+    const to = frames[Math.min(low + 1, frames.length - 1)];
+    const span = to.t - from.t;
+    const alpha = span > 0 ? Math.min(Math.max((time - from.t) / span, 0), 1) : 0;
+
+    const lerp = (a, b) => ({
+        x: a.x + (b.x - a.x) * alpha,
+        y: a.y + (b.y - a.y) * alpha,
+        z: a.z + (b.z - a.z) * alpha
+    });
+
+    // orientation is slerped - the ball is turned by quaternion integration, so Euler
+    // angles would wrap at +/-pi and spin the wrong way between frames
+    replayFromQuaternion.set(from.quaternion.x, from.quaternion.y, from.quaternion.z, from.quaternion.w).normalize();
+    replayToQuaternion.set(to.quaternion.x, to.quaternion.y, to.quaternion.z, to.quaternion.w).normalize();
+
+    return {
+        position: lerp(from.position, to.position),
+        quaternion: replayFromQuaternion.slerp(replayToQuaternion, alpha),
+        velocity: lerp(from.velocity, to.velocity)
+    };
+}
+
+function applyReplayFrame() {
+    /*
+    move the basketball to the recorded state at the current replay time
+    */
+
+    const replay = shotReplays[replayViewer.index];
+    if (!replay || replay.frames.length === 0 || !window.basketballGroup) return;
+
+    const sample = sampleReplay(replay, replayViewer.time);
+    window.basketballGroup.position.set(sample.position.x, sample.position.y, sample.position.z);
+    window.basketballGroup.quaternion.copy(sample.quaternion);
+}
+
+function updateReplayUI() {
+    /*
+    update the replay panel (shot number, result, time, speed, progress)
+    */
+
+    const container = document.getElementById('replay-container');
+    if (!container) return;
+
+    if (!replayViewer.active) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const replay = shotReplays[replayViewer.index];
+    const resultText = replay.attempt.result ? replay.attempt.result.toUpperCase() : 'NO RESULT';
+    const speed = replayViewer.speeds[replayViewer.speedIndex];
+
+    container.style.display = 'flex';
+    document.getElementById('replay-info').textContent =
+        `Shot ${replayViewer.index + 1} / ${shotReplays.length} | ${resultText} | Power ${replay.attempt.power}%`;
+    document.getElementById('replay-time').textContent =
+        `${replayViewer.time.toFixed(2)}s / ${replay.duration.toFixed(2)}s | ${speed}x${replayViewer.playing ? '' : ' (paused)'}`;
+
+    const progress = replay.duration > 0 ? (replayViewer.time / replay.duration) * 100 : 0;
+    document.getElementById('replay-progress').style.width = `${progress}%`;
+}
+
+// =====================
+// AROUND THE WORLD MODE
+// =====================
+
+function resetAroundTheWorld() {
+    /*
+    start over from spot 1 with a fresh clock
+    */
+
+    if (aroundTheWorld.clockIntervalId) {
+        clearInterval(aroundTheWorld.clockIntervalId);
+        aroundTheWorld.clockIntervalId = null;
+    }
+
+    aroundTheWorld.current = 0;
+    aroundTheWorld.attempts = 0;
+    aroundTheWorld.startTime = null;
+    aroundTheWorld.finishTime = null;
+
+    if (gameModes.modes[gameModes.current].aroundTheWorld) {
+        placeBallAtAroundTheWorldSpot();
+    }
+    updateAroundTheWorldUI();
+}
+
+function placeBallAtAroundTheWorldSpot() {
+    /*
+    move the ball onto the current spot
+    */
+
+    const spot = AROUND_THE_WORLD_SPOTS[aroundTheWorld.current];
+    if (!window.basketballGroup || !spot) return;
+
+    window.basketballGroup.position.x = spot.x;
+    window.basketballGroup.position.z = spot.z;
+}
+
+function recordAroundTheWorldAttempt() {
+    /*
+    count the attempt and start the clock on the first shot
+    */
+
+    if (!gameModes.modes[gameModes.current].aroundTheWorld) return;
+
+    aroundTheWorld.attempts++;
+    if (aroundTheWorld.startTime === null) {
+        aroundTheWorld.startTime = Date.now();
+        aroundTheWorld.clockIntervalId = setInterval(updateAroundTheWorldUI, 100);
+    }
+    updateAroundTheWorldUI();
+}
+
+function advanceAroundTheWorld() {
+    /*
+    a make moves the player on to the next spot, the last one finishes the round
+    */
+
+    if (!gameModes.modes[gameModes.current].aroundTheWorld || aroundTheWorld.finishTime !== null) return;
+
+    aroundTheWorld.current++;
+
+    if (aroundTheWorld.current >= AROUND_THE_WORLD_SPOTS.length) {
+        aroundTheWorld.finishTime = Date.now();
+        clearInterval(aroundTheWorld.clockIntervalId);
+        aroundTheWorld.clockIntervalId = null;
+
+        const seconds = ((aroundTheWorld.finishTime - aroundTheWorld.startTime) / 1000).toFixed(1);
+        const messageElement = document.getElementById('game-message');
+        if (messageElement) {
+            messageElement.textContent = `🌍 Around the World in ${seconds}s with ${aroundTheWorld.attempts} attempts! (R to go again)`;
+            messageElement.style.display = 'block';
+            messageElement.style.color = '#00ff00';
+
+            setTimeout(() => {
+                messageElement.style.display = 'none';
+            }, 5000);
+        }
+    }
+
+    updateAroundTheWorldUI();
+}
+
+function updateAroundTheWorldUI() {
+    /*
+    highlight the current spot decal and show spot, attempts and time in the game mode panel
+    */
+
+    const active = !!gameModes.modes[gameModes.current].aroundTheWorld;
+
+    aroundTheWorld.spotDecals.forEach((decal, index) => {
+        decal.visible = active;
+        // current spot yellow, finished spots green, the rest grey
+        if (index === aroundTheWorld.current) {
+            decal.material.color.set(0xffff00);
+        } else if (index < aroundTheWorld.current) {
+            decal.material.color.set(0x00ff00);
+        } else {
+            decal.material.color.set(0x888888);
+        }
+    });
+
+    const tracker = document.getElementById('atw-tracker');
+    if (!tracker) return;
+
+    if (!active) {
+        tracker.style.display = 'none';
+        return;
+    }
+
+    tracker.style.display = 'block';
+
+    const finished = aroundTheWorld.finishTime !== null;
+    const spot = AROUND_THE_WORLD_SPOTS[aroundTheWorld.current];
+    document.getElementById('atw-spot').textContent = finished ?
+        'All 7 spots made!' :
+        `Spot ${aroundTheWorld.current + 1} / ${AROUND_THE_WORLD_SPOTS.length}: ${spot.name}`;
+
+    // the clock stands still while the game is paused
+    let elapsed = 0;
+    if (aroundTheWorld.startTime !== null) {
+        const now = finished ? aroundTheWorld.finishTime : (gamePause.pausedAt || Date.now());
+        elapsed = (now - aroundTheWorld.startTime) / 1000;
+    }
+    document.getElementById('atw-progress').textContent =
+        `Attempts: ${aroundTheWorld.attempts} | Time: ${elapsed.toFixed(1)}s`;
+}
+
+// ================
+// FREE THROW MODES
+// ================
+
+function resetFreeThrowRoutine() {
+    /*
+    restart the routine and put the ball on the line of the nearest basket
+    */
+
+    freeThrows.routine = createFreeThrowRoutine();
+
+    if (gameModes.modes[gameModes.current].freeThrow && window.basketballGroup) {
+        freeThrows.side = window.basketballGroup.position.x < 0 ? -1 : 1;
+        placeBallAtFreeThrowLine();
+    }
+    updateFreeThrowUI();
+}
+
+function placeBallAtFreeThrowLine() {
+    /*
+    snap the ball to the middle of the free throw line, just behind it
+    */
+
+    if (!window.basketballGroup) return;
+
+    const basketball = window.basketballGroup;
+    const lineX = freeThrows.side * (courtHeight - freeThrowDistance);
+    basketball.position.x = lineX - freeThrows.side * (basketballMovement.shooting.ballRadius + 0.05);
+    basketball.position.z = 0;
+    basketballMovement.currentSpeed.x = 0;
+    basketballMovement.currentSpeed.z = 0;
+}
+
+function resolveFreeThrow(made) {
+    /*
+    count a free throw towards the overall FT% and the current routine
+    */
+
+    const routineSettings = gameModes.modes[gameModes.current].freeThrow;
+    if (!routineSettings || freeThrows.routine.complete) return;
+
+    const routine = recordFreeThrow(freeThrows.routine, routineSettings, made);
+    freeThrows.routine = routine;
+    freeThrows.attempts++;
+    if (made) {
+        freeThrows.made++;
+    } else {
+        scheduleFreeThrowReturn();
+    }
+
+    let message = null;
+    if (routine.complete && routineSettings.routine === 'streak') {
+        message = `🎯 ${routineSettings.target} in a row! It took ${routine.taken} free throws. (R to go again)`;
+    } else if (routine.complete) {
+        message = `🎯 ${routine.made} of ${routineSettings.shots} free throws made (${Math.round(routine.made / routine.taken * 100)}%). (R to go again)`;
+    }
+
+    if (message) {
+        const messageElement = document.getElementById('game-message');
+        if (messageElement) {
+            messageElement.textContent = message;
+            messageElement.style.display = 'block';
+            messageElement.style.color = '#00ff00';
+
+            setTimeout(() => {
+                messageElement.style.display = 'none';
+            }, 5000);
+        }
+    }
+
+    updateFreeThrowUI();
+}
+
+function scheduleFreeThrowReturn() {
+    /*
+    bring the ball back to the line once a missed free throw has played out
+    */
+
+    freeThrows.returnTimeoutId = setTimeout(() => {
+        freeThrows.returnTimeoutId = null;
+        if (!gameModes.modes[gameModes.current].freeThrow) return;
+        basketballMovement.shooting.active = false;
+        placeBallAtFreeThrowLine();
+    }, 1500);
+}
+
+function updateFreeThrowUI() {
+    /*
+    overall FT% in the stats panel and routine progress in the game mode panel
+    */
+
+    const accuracyElement = document.getElementById('free-throw-accuracy');
+    if (accuracyElement) {
+        const percentage = freeThrows.attempts > 0 ? Math.round(freeThrows.made / freeThrows.attempts * 100) : 0;
+        accuracyElement.textContent = `${percentage}% (${freeThrows.made}/${freeThrows.attempts})`;
+    }
+
+    const tracker = document.getElementById('ft-tracker');
+    if (!tracker) return;
+
+    const routineSettings = gameModes.modes[gameModes.current].freeThrow;
+    if (!routineSettings) {
+        tracker.style.display = 'none';
+        return;
+    }
+
+    tracker.style.display = 'block';
+    const routine = freeThrows.routine;
+    if (routineSettings.routine === 'streak') {
+        tracker.textContent = `In a row: ${routine.streak} / ${routineSettings.target} (best ${routine.bestStreak}, ${routine.taken} taken)`;
+    } else {
+        tracker.textContent = `Made ${routine.made} of ${routine.taken} (${routineSettings.shots - routine.taken} left)`;
+    }
+}
+
+// ==========
+// SHOT CHART
+// ==========
+
+// 2D mini-court in the corner of the screen, cycled with C
+const SHOT_CHART_VIEWS = ['off', 'markers', 'heat'];
+const SHOT_CHART_SCALE = 10; // canvas pixels per metre
+const SHOT_CHART_CELL = 1.5; // heat map cell size (m)
+
+// the breakdown under the chart (paint includes the restricted area)
+const SHOT_CHART_ZONES = ['in-the-paint', 'mid-range', 'corner-three', 'above-break-three'];
+
+const shotChart = {
+    view: 'off'
+};
+
+function resolveShotChartEntry(result) {
+    /*
+    set the result of the attempt that was just decided
+    */
+
+    const entry = gameStats.shotHistory[gameStats.shotHistory.length - 1];
+    if (!entry || entry.result !== null) return;
+
+    entry.result = result;
+    updateShotChart();
+    updateZoneStatsUI();
+}
+
+function cycleShotChartView() {
+    /*
+    switch the shot chart between markers, heat map and hidden
+    returns the feedback message to show
+    */
+
+    const next = (SHOT_CHART_VIEWS.indexOf(shotChart.view) + 1) % SHOT_CHART_VIEWS.length;
+    shotChart.view = SHOT_CHART_VIEWS[next];
+
+    const container = document.getElementById('shot-chart-container');
+    if (container) {
+        container.style.display = shotChart.view === 'off' ? 'none' : 'block';
+    }
+    updateShotChart();
+
+    const viewNames = { 'off': 'Hidden', 'markers': 'Makes & Misses', 'heat': 'Heat Map' };
+    return `Shot Chart: ${viewNames[shotChart.view]}`;
+}
+
+function toChartPoint(x, z) {
+    /*
+    court coordinates to shot chart canvas pixels
+    */
+
+    return {
+        x: (x + courtWidth / 2) * SHOT_CHART_SCALE,
+        y: (z + courtHeight / 2) * SHOT_CHART_SCALE
+    };
+}
+
+function drawShotChartCourt(ctx) {
+    /*
+    floor, half court line, keys and three-point arcs of the mini-court
+    */
+
+    ctx.fillStyle = '#8b5a2b';
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 1;
+
+    const center = toChartPoint(0, 0);
+    ctx.beginPath();
+    ctx.moveTo(center.x, 0);
+    ctx.lineTo(center.x, ctx.canvas.height);
+    ctx.stroke();
+
+    ['left', 'right'].forEach(hoop => {
+        if (!hoopColliders[hoop]) return;
+
+        const side = hoop === 'right' ? 1 : -1;
+        const rimCenter = hoopColliders[hoop].rim.center;
+        const rim = toChartPoint(rimCenter.x, rimCenter.z);
+        const baselineX = side > 0 ? ctx.canvas.width : 0;
+
+        // key
+        const keyLength = freeThrowDistance * SHOT_CHART_SCALE;
+        const keyWidth = 3.6 * SHOT_CHART_SCALE;
+        ctx.strokeRect(side > 0 ? baselineX - keyLength : 0, center.y - keyWidth / 2, keyLength, keyWidth);
+
+        // three-point arc, opening towards the baseline
+        const radius = 6.75 * SHOT_CHART_SCALE;
+        ctx.beginPath();
+        if (side > 0) {
+            ctx.arc(rim.x, rim.y, radius, Math.PI / 2, Math.PI * 3 / 2);
+        } else {
+            ctx.arc(rim.x, rim.y, radius, -Math.PI / 2, Math.PI / 2);
+        }
+        ctx.stroke();
+
+        // rim
+        ctx.beginPath();
+        ctx.arc(rim.x, rim.y, 3, 0, Math.PI * 2);
+        ctx.strokeStyle = '#ff6600';
+        ctx.stroke();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    });
+}
+
+function drawShotChartMarkers(ctx) {
+    /*
+    green circles for makes, red crosses for misses
+    */
+
+    ctx.lineWidth = 2;
+    gameStats.shotHistory.forEach(entry => {
+        const point = toChartPoint(entry.x, entry.z);
+
+        if (entry.result === 'made') {
+            ctx.strokeStyle = '#00ff00';
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.stroke();
+        } else {
+            ctx.strokeStyle = entry.result === 'missed' ? '#ff3333' : '#ffff00'; // yellow while in the air
+            ctx.beginPath();
+            ctx.moveTo(point.x - 3, point.y - 3);
+            ctx.lineTo(point.x + 3, point.y + 3);
+            ctx.moveTo(point.x + 3, point.y - 3);
+            ctx.lineTo(point.x - 3, point.y + 3);
+            ctx.stroke();
+        }
+    });
+}
+
+function drawShotChartHeat(ctx) {
+    /*
+    grid cells coloured by FG% (red cold, green hot), more opaque with more attempts
+    */
+
+    const cells = new Map();
+    gameStats.shotHistory.forEach(entry => {
+        if (entry.result === null) return;
+
+        const column = Math.floor((entry.x + courtWidth / 2) / SHOT_CHART_CELL);
+        const row = Math.floor((entry.z + courtHeight / 2) / SHOT_CHART_CELL);
+        const key = `${column},${row}`;
+        if (!cells.has(key)) {
+            cells.set(key, { column, row, attempts: 0, made: 0 });
+        }
+
+        const cell = cells.get(key);
+        cell.attempts++;
+        if (entry.result === 'made') cell.made++;
+    });
+
+    const size = SHOT_CHART_CELL * SHOT_CHART_SCALE;
+    cells.forEach(cell => {
+        const hue = Math.round(120 * cell.made / cell.attempts);
+        const alpha = Math.min(0.9, 0.35 + cell.attempts * 0.1);
+        ctx.fillStyle = `hsla(${hue}, 100%, 50%, ${alpha})`;
+        ctx.fillRect(cell.column * size, cell.row * size, size, size);
+    });
+}
+
+function updateShotChartZones() {
+    /*
+    makes / attempts and FG% for each zone of the breakdown
+    */
+
+    const body = document.getElementById('shot-chart-zones');
+    if (!body) return;
+
+    body.innerHTML = '';
+    SHOT_CHART_ZONES.forEach(zone => {
+        const shots = gameStats.shotHistory.filter(entry => entry.result !== null && zoneInList(entry.zone, [zone]));
+        const made = shots.filter(entry => entry.result === 'made').length;
+        const percentage = shots.length > 0 ? Math.round(made / shots.length * 100) : 0;
+
+        const row = document.createElement('div');
+        row.className = 'stat-row';
+        row.innerHTML = `<span class="stat-label">${zoneDisplayName(zone)}:</span><span class="stat-value">${made}/${shots.length} (${percentage}%)</span>`;
+        body.appendChild(row);
+    });
+}
+
+function updateShotChart() {
+    /*
+    redraw the shot chart and its zone breakdown (only while it is showing)
+    */
+
+    if (shotChart.view === 'off') return;
+
+    const canvas = document.getElementById('shot-chart-canvas');
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    drawShotChartCourt(ctx);
+    if (shotChart.view === 'heat') {
+        drawShotChartHeat(ctx);
+    } else {
+        drawShotChartMarkers(ctx);
+    }
+
+    updateShotChartZones();
+}
+
+// ==================
+// TRAJECTORY PREVIEW
+// ==================
+
+// dotted arc of the shot the current power and aim would take (practice modes only)
+const TRAJECTORY_PREVIEW_SETTINGS = ['off', 'full', 'partial'];
+
+const trajectoryPreview = {
+    setting: 'off',
+    maxTime: 3, // seconds of flight simulated at most
+    partialFraction: 0.35, // share of the flight shown as a partial guide
+    dotInterval: 12, // physics steps between dots
+    dots: null, // THREE.Points
+    lastKey: '' // inputs the dots were computed for
+};
+
+function cycleTrajectoryPreview() {
+    /*
+    switch the preview between off, the full arc and a partial guide (Y key)
+    returns the feedback message to show
+    */
+
+    const next = (TRAJECTORY_PREVIEW_SETTINGS.indexOf(trajectoryPreview.setting) + 1) % TRAJECTORY_PREVIEW_SETTINGS.length;
+    trajectoryPreview.setting = TRAJECTORY_PREVIEW_SETTINGS[next];
+    trajectoryPreview.lastKey = '';
+
+    const settingNames = { 'off': 'Off', 'full': 'Full Arc', 'partial': 'Partial Guide' };
+    const message = `Trajectory Preview: ${settingNames[trajectoryPreview.setting]}`;
+    if (trajectoryPreview.setting !== 'off' && !gameModes.modes[gameModes.current].practice) {
+        return `${message} (only shown in practice modes)`;
+    }
+    return message;
+}
+
+function simulateTrajectory(start, velocity, spin) {
+    /*
+    run the shot headlessly with the game's own physics step
+    returns the dot positions up to the first contact (or maxTime)
+    */
+
+    const points = [];
+    let state = { position: { ...start }, velocity: { ...velocity }, spin: { ...spin } };
+    const steps = Math.round(trajectoryPreview.maxTime / PHYSICS_TIMESTEP);
+
+    for (let i = 1; i <= steps; i++) {
+        const step = stepBall(state, PHYSICS_TIMESTEP, physicsWorld);
+        state = step.state;
+
+        if (i % trajectoryPreview.dotInterval === 0) {
+            points.push(state.position);
+        }
+
+        const contacts = step.contacts;
+        if (contacts.floor || contacts.wall || contacts.rim || contacts.backboard) {
+            points.push(state.position);
+            break;
+        }
+    }
+
+    return points;
+}
+
+function updateTrajectoryPreview() {
+    /*
+    show, hide or recompute the dotted arc (only when the ball, power, aim or difficulty changed)
+    */
+
+    if (!window.basketballGroup || !hoopColliders.left || !hoopColliders.right) return;
+
+    if (!trajectoryPreview.dots) {
+        const maxDots = Math.ceil(trajectoryPreview.maxTime / PHYSICS_TIMESTEP / trajectoryPreview.dotInterval) + 1;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxDots * 3), 3));
+
+        trajectoryPreview.dots = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.12,
+            transparent: true,
+            opacity: 0.85
+        }));
+        trajectoryPreview.dots.frustumCulled = false;
+        trajectoryPreview.dots.visible = false;
+        scene.add(trajectoryPreview.dots);
+    }
+
+    const dots = trajectoryPreview.dots;
+    dots.visible = trajectoryPreview.setting !== 'off' &&
+        !!gameModes.modes[gameModes.current].practice &&
+        gameModes.state === 'playing' &&
+        !basketballMovement.shooting.active &&
+        !replayViewer.active &&
+        !gamePause.paused;
+    if (!dots.visible) return;
+
+    const ball = window.basketballGroup.position;
+    const aim = basketballMovement.aim;
+    const key = [
+        ball.x.toFixed(3), ball.y.toFixed(3), ball.z.toFixed(3),
+        basketballMovement.shotPower.current,
+        aim.manual, aim.horizontalOffset, aim.releaseAngle,
+        basketballMovement.shooting.spinType, difficulty.current, trajectoryPreview.setting
+    ].join('|');
+    if (key === trajectoryPreview.lastKey) return;
+    trajectoryPreview.lastKey = key;
+
+    const start = { x: ball.x, y: ball.y, z: ball.z };
+    const velocity = computeShotVelocity(ball, getTargetBasket(ball));
+    let points = simulateTrajectory(start, velocity, computeShotSpin(velocity));
+    if (trajectoryPreview.setting === 'partial') {
+        points = points.slice(0, Math.max(1, Math.round(points.length * trajectoryPreview.partialFraction)));
+    }
+
+    const positions = dots.geometry.attributes.position;
+    points.forEach((point, index) => {
+        positions.setXYZ(index, point.x, point.y, point.z);
+    });
+    positions.needsUpdate = true;
+    dots.geometry.setDrawRange(0, points.length);
+}
+
+// ================
+// ZONE STATS PANEL
+// ================
+
+// per-zone breakdown that expands out of the stats panel
+const zoneStatsPanel = {
+    expanded: false
+};
+
+function toggleZoneStatsPanel() {
+    /*
+    expand or collapse the per-zone stats
+    returns the feedback message to show
+    */
+
+    zoneStatsPanel.expanded = !zoneStatsPanel.expanded;
+
+    const panel = document.getElementById('zone-stats');
+    const toggle = document.getElementById('zone-stats-toggle');
+    if (panel) panel.style.display = zoneStatsPanel.expanded ? 'block' : 'none';
+    if (toggle) toggle.textContent = zoneStatsPanel.expanded ? '▾ Zone Breakdown' : '▸ Zone Breakdown';
+    updateZoneStatsUI();
+
+    return `Zone Stats: ${zoneStatsPanel.expanded ? 'Shown' : 'Hidden'}`;
+}
+
+function updateZoneStatsUI() {
+    /*
+    fill the zone table from the decided shots of the current game (only while expanded)
+    */
+
+    if (!zoneStatsPanel.expanded) return;
+
+    const body = document.getElementById('zone-stats-body');
+    if (!body) return;
+
+    const stats = zoneStatistics(gameStats.shotHistory.filter(entry => entry.result !== null));
+
+    body.innerHTML = '';
+    Object.keys(SHOT_ZONES).forEach(zone => {
+        const zoneStats = stats[zone];
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${zoneDisplayName(zone)}</td>` +
+            `<td>${zoneStats.made}/${zoneStats.attempts}</td>` +
+            `<td>${zoneStats.fgPercentage}%</td>` +
+            `<td>${zoneStats.efgPercentage}%</td>` +
+            `<td>${zoneStats.streak} / ${zoneStats.bestStreak}</td>`;
+        body.appendChild(row);
+    });
+}
+
+// ==================
+// ONLINE MULTIPLAYER
+// ==================
+
+function joinOnlineMatch() {
+    /*
+    connect to the room given in the URL and wire up the server messages
+    */
+
+    onlineMatch.connection = connectToRoom(window.location, onlineMatch.room, {
+        welcome: message => {
+            onlineMatch.side = message.side;
+            onlineMatch.opponentConnected = message.opponentConnected;
+            applyOnlineScores(message.scores);
+            updateOnlineStatusUI();
+            showOnlineFeedback(`Joined room ${message.room} as ${message.side.toUpperCase()}`, message.side === 'home' ? '#00aaff' : '#ff4400');
+        },
+        opponentJoined: () => {
+            onlineMatch.opponentConnected = true;
+            updateOnlineStatusUI();
+            showOnlineFeedback('Opponent joined the match!', '#00ff00');
+        },
+        opponentLeft: () => {
+            onlineMatch.opponentConnected = false;
+            updateOnlineStatusUI();
+            showOnlineFeedback('Opponent left the match', '#ffaa00');
+        },
+        shot: message => {
+            startOpponentShot(message.origin, message.velocity, message.spin, message.difficulty);
+        },
+        score: message => {
+            applyOnlineScores(message.scores);
+            if (message.result !== 'made') return;
+
+            const mine = message.side === onlineMatch.side;
+            let text = `SCORE! ${mine ? 'You' : 'Opponent'} +${message.points} points!`;
+            if (message.points === 3) text += ' (3-POINTER!)';
+            showOnlineFeedback(text, message.side === 'home' ? '#00aaff' : '#ff4400');
+        },
+        error: message => {
+            showOnlineFeedback(`Online match: ${message.message}`, '#ff0000');
+        },
+        closed: () => {
+            onlineMatch.connection = null;
+            onlineMatch.side = null;
+            onlineMatch.opponentConnected = false;
+            updateOnlineStatusUI();
+        }
+    });
+
+    updateOnlineStatusUI();
+}
+
+function applyOnlineScores(scores) {
+    /*
+    show the server's home/away totals on both scoreboards
+    */
+
+    onlineMatch.scores = { home: scores.home, away: scores.away };
+
+    const homeScoreElement = document.getElementById('home-score');
+    const awayScoreElement = document.getElementById('away-score');
+    if (homeScoreElement) homeScoreElement.textContent = scores.home;
+    if (awayScoreElement) awayScoreElement.textContent = scores.away;
+
+    if (window.updateScoreboardDisplay && window.scoreboardTexture) {
+        window.updateScoreboardDisplay(scores.home, scores.away);
+        window.scoreboardTexture.needsUpdate = true;
+    }
+}
+
+function updateOnlineStatusUI() {
+    /*
+    room, side and opponent status line
+    */
+
+    const status = document.getElementById('online-status');
+    if (!status) return;
+
+    if (!onlineMatch.room) {
+        status.style.display = 'none';
+        return;
+    }
+
+    status.style.display = 'block';
+    if (!onlineMatch.connection) {
+        status.textContent = `Online: disconnected from room ${onlineMatch.room}`;
+    } else if (!onlineMatch.side) {
+        status.textContent = `Online: connecting to room ${onlineMatch.room}...`;
+    } else {
+        const opponent = onlineMatch.opponentConnected ? 'opponent connected' : 'waiting for opponent';
+        status.textContent = `Online: room ${onlineMatch.room} | you are ${onlineMatch.side.toUpperCase()} | ${opponent}`;
+    }
+}
+
+function showOnlineFeedback(message, color) {
+    const keyFeedback = document.getElementById('key-feedback');
+    if (keyFeedback) {
+        keyFeedback.textContent = message;
+        keyFeedback.style.opacity = '1';
+        keyFeedback.style.color = color;
+
         setTimeout(() => {
-            // Make the overlay non-interactive again when hidden
-            overlay.style.pointerEvents = 'none';
-        
-        }, 500);
-    }, 5500);
+            keyFeedback.style.opacity = '0';
+        }, 3000);
+    }
 }
 
-function resetGameMode() {
+function startOpponentShot(origin, velocity, spin, difficultyKey) {
     /*
-    reset the current game mode including resetting timers 
+    show the opponent's ball at their release point and fly it with the same physics
+    and the air resistance of the opponent's difficulty, whatever ours is
+    (scoring is not checked here - the result comes from the server)
     */
-    const currentModeKey = gameModes.current;
-    stopGameTimer();
-    
-    // if the current mode has a time limit, restart it with fresh time
-    if (gameModes.modes[currentModeKey].timeLimit) {
-        startGameTimer(gameModes.modes[currentModeKey].timeLimit);
+
+    if (!window.basketballGroup) return;
+
+    if (!onlineMatch.opponentBall) {
+        // same ball model, slightly see-through so it's clearly not ours
+        onlineMatch.opponentBall = window.basketballGroup.clone();
+        onlineMatch.opponentBall.traverse(child => {
+            if (child.isMesh) {
+                child.material = child.material.clone();
+                child.material.transparent = true;
+                child.material.opacity = 0.6;
+            }
+        });
+        scene.add(onlineMatch.opponentBall);
+    }
+
+    if (onlineMatch.opponentHideTimeoutId) {
+        clearTimeout(onlineMatch.opponentHideTimeoutId);
+        onlineMatch.opponentHideTimeoutId = null;
+    }
+
+    onlineMatch.opponentShot = {
+        position: { x: origin.x, y: origin.y, z: origin.z },
+        lastPosition: { x: origin.x, y: origin.y, z: origin.z },
+        velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+        spin: spin ? { x: spin.x, y: spin.y, z: spin.z } : { x: 0, y: 0, z: 0 },
+        world: { ...physicsWorld, airResistance: DIFFICULTY_LEVELS[difficultyKey].airResistance }
+    };
+    onlineMatch.opponentAccumulator = 0;
+    onlineMatch.opponentBall.position.set(origin.x, origin.y, origin.z);
+    onlineMatch.opponentBall.visible = true;
+}
+
+function updateOpponentBall(frameTime) {
+    /*
+    advance the opponent's shot with the same fixed timestep as our own ball
+    */
+
+    const shot = onlineMatch.opponentShot;
+    if (!shot) return;
+
+    onlineMatch.opponentAccumulator += frameTime;
+    while (onlineMatch.opponentAccumulator >= PHYSICS_TIMESTEP && onlineMatch.opponentShot) {
+        shot.lastPosition = shot.position;
+        const step = stepBall({ position: shot.position, velocity: shot.velocity, spin: shot.spin }, PHYSICS_TIMESTEP, shot.world);
+        shot.position = step.state.position;
+        shot.velocity = step.state.velocity;
+        shot.spin = step.state.spin;
+        rotateBallBySpin(onlineMatch.opponentBall, shot.spin, PHYSICS_TIMESTEP);
+        onlineMatch.opponentAccumulator -= PHYSICS_TIMESTEP;
+
+        // leave the ball where it stopped for a moment, then take it away
+        if (step.atRest) {
+            onlineMatch.opponentShot = null;
+            onlineMatch.opponentHideTimeoutId = setTimeout(() => {
+                onlineMatch.opponentBall.visible = false;
+                onlineMatch.opponentHideTimeoutId = null;
+            }, 1500);
+        }
+    }
+
+    const alpha = onlineMatch.opponentShot ? onlineMatch.opponentAccumulator / PHYSICS_TIMESTEP : 1;
+    onlineMatch.opponentBall.position.set(
+        shot.lastPosition.x + (shot.position.x - shot.lastPosition.x) * alpha,
+        shot.lastPosition.y + (shot.position.y - shot.lastPosition.y) * alpha,
+        shot.lastPosition.z + (shot.position.z - shot.lastPosition.z) * alpha
+    );
+}
+
+// =========================
+// SESSION EXPORT AND IMPORT
+// =========================
+
+function exportSession() {
+    /*
+    download the whole session (attempts, stats, free throw and head-to-head totals, scoreboard,
+    replays) as a JSON file
+    returns the feedback message to show
+    */
+
+    const homeScoreElement = document.getElementById('home-score');
+    const awayScoreElement = document.getElementById('away-score');
+
+    const json = serializeSession({
+        startedAt: sessionLog.startedAt,
+        seed: getSeed(),
+        stats: gameStats,
+        freeThrows: freeThrows,
+        headToHead: {
+            current: headToHead.current,
+            // the player with the ball has live numbers in gameStats
+            players: headToHead.players.map((player, index) =>
+                index === headToHead.current ? gameStats : (player.stats || createEmptyPlayerStats()))
+        },
+        scores: {
+            home: homeScoreElement ? parseInt(homeScoreElement.textContent) : 0,
+            away: awayScoreElement ? parseInt(awayScoreElement.textContent) : 0
+        },
+        attempts: sessionLog.attempts,
+        replays: shotReplays.map(replay => ({
+            attemptIndex: sessionLog.attempts.indexOf(replay.attempt),
+            duration: replay.duration,
+            frames: replay.frames
+        }))
+    });
+
+    // trigger a download through a temporary link
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    link.href = url;
+    link.download = `basketball-session-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return `Session exported (${sessionLog.attempts.length} attempts)`;
+}
+
+function requestSessionImport() {
+    /*
+    open the file picker for a session import
+    returns the feedback message to show
+    */
+
+    if (basketballMovement.shooting.active) {
+        return 'Wait for the shot to finish before importing a session!';
+    }
+
+    const input = document.getElementById('session-import-input');
+    if (!input) return '';
+
+    input.value = '';
+    input.click();
+    return 'Choose a session file to import...';
+}
+
+function handleSessionFile(e) {
+    /*
+    read the chosen session file and restore it
+    */
+
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+        const session = parseSession(text);
+        if (basketballMovement.shooting.active) {
+            throw new Error('wait for the shot to finish');
+        }
+        applySession(session);
+        showSessionFeedback(`Session imported (${session.attempts.length} attempts)`, '#00ff00');
+    }).catch(error => {
+        showSessionFeedback(`Import failed: ${error.message}`, '#ff0000');
+    });
+}
+
+function applySession(session) {
+    /*
+    restore the stats panel, free throw and head-to-head totals, scoreboard and replay list
+    from an imported session
+    */
+
+    stopReplay();
+
+    // leave the running mode (timers, countdown, shot clock, pause menu) and any pending
+    // miss or ball reset so nothing from the live game lands on the imported numbers
+    if (window.missTimeoutId) {
+        clearTimeout(window.missTimeoutId);
+        window.missTimeoutId = null;
+    }
+    if (window.scoreResetTimeoutId) {
+        clearTimeout(window.scoreResetTimeoutId);
+        window.scoreResetTimeoutId = null;
+        window.ballPendingScorekeeperDecision = false;
+    }
+    resetBasketballPosition();
+    enterGameMode('free-shoot');
+
+    // attempts and replays (replays point back at their attempt)
+    sessionLog.startedAt = session.startedAt;
+    sessionLog.attempts = session.attempts;
+    shotReplays.length = 0;
+    session.replays.slice(-MAX_SHOT_REPLAYS).forEach(replay => {
+        shotReplays.push({
+            attempt: session.attempts[replay.attemptIndex],
+            duration: replay.duration,
+            frames: replay.frames
+        });
+    });
+    activeShotReplay = null;
+
+    // stats panel
+    gameStats.shotAttempts = session.stats.shotAttempts;
+    gameStats.shotsMade = session.stats.shotsMade;
+    gameStats.points = session.stats.points;
+    gameStats.turnovers = session.stats.turnovers;
+    gameStats.lastShotResult = null;
+    updateStatsUI();
+
+    freeThrows.attempts = session.freeThrows.attempts;
+    freeThrows.made = session.freeThrows.made;
+    updateFreeThrowUI();
+
+    // head-to-head totals (the player on the ball plays on with gameStats)
+    if (session.headToHead) {
+        if (headToHead.possessionTimeoutId) {
+            clearTimeout(headToHead.possessionTimeoutId);
+            headToHead.possessionTimeoutId = null;
+        }
+        headToHead.current = session.headToHead.current;
+        headToHead.players.forEach((player, index) => {
+            player.stats = { ...session.headToHead.players[index], shotHistory: [] };
+        });
+        updatePlayerIndicatorUI();
+    }
+
+    // shot chart from the logged attempts
+    gameStats.shotHistory = session.attempts.map(attempt => ({
+        x: attempt.origin.x,
+        z: attempt.origin.z,
+        basketX: attempt.targetBasket.x,
+        zone: classifyShotZone(attempt.origin, attempt.targetBasket),
+        result: attempt.result
+    }));
+    updateShotChart();
+    updateZoneStatsUI();
+
+    // scoreboard
+    const homeScoreElement = document.getElementById('home-score');
+    const awayScoreElement = document.getElementById('away-score');
+    if (homeScoreElement) homeScoreElement.textContent = session.scores.home;
+    if (awayScoreElement) awayScoreElement.textContent = session.scores.away;
+
+    if (window.updateScoreboardDisplay && window.scoreboardTexture) {
+        window.updateScoreboardDisplay(session.scores.home, session.scores.away);
+        window.scoreboardTexture.needsUpdate = true;
+    }
+}
+
+function showSessionFeedback(message, color) {
+    /*
+    show the result of an import in the key feedback area
+    */
+
+    const keyFeedback = document.getElementById('key-feedback');
+    if (keyFeedback) {
+        keyFeedback.textContent = message;
+        keyFeedback.style.opacity = '1';
+        keyFeedback.style.color = color;
+
+        setTimeout(() => {
+            keyFeedback.style.opacity = '0';
+            keyFeedback.style.color = '#ffcc00';
+        }, 3000);
     }
-    
-    updateGameModeUI();
-    updateTimerUI();
 }
 
 // ============================
@@ -3120,7 +6137,7 @@ function animate() {
 
     // calculate time diff for physics updates
     const currentTime = Date.now();
-    const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1);
+    const frameTime = Math.min((currentTime - lastTime) / 1000, MAX_FRAME_TIME);
     lastTime = currentTime;
 
     controls.enabled = isOrbitEnabled;
@@ -3131,14 +6148,46 @@ function animate() {
     }
 
     // physics updates
-    if (basketballMovement.shooting.active) {
-        // if the ball is in air use shooting physics
-        updateShootingPhysics(deltaTime);
+    if (gamePause.paused) {
+        // everything stands still behind the pause menu
+    } else if (replayViewer.active) {
+        // live simulation is paused while a replay is showing
+        updateReplay(frameTime);
+    } else {
+        updateShotClock(frameTime);
+        updateShotMeter(frameTime);
+    }
+
+    if (gamePause.paused || replayViewer.active) {
+        // ball stays where it is
+    } else if (basketballMovement.shooting.active) {
+        // if the ball is in air use shooting physics in fixed substeps
+        physicsAccumulator += frameTime;
+        while (physicsAccumulator >= PHYSICS_TIMESTEP && basketballMovement.shooting.active) {
+            updateShootingPhysics(PHYSICS_TIMESTEP);
+            physicsAccumulator -= PHYSICS_TIMESTEP;
+        }
+
+        // draw the ball where it is between steps, or exactly where it came to rest
+        renderInterpolatedBall(basketballMovement.shooting.active ? physicsAccumulator / PHYSICS_TIMESTEP : 1);
     } else {
+        physicsAccumulator = 0;
         // otherwise use normal movement controls
         updateBasketballPosition();
     }
 
+    // the opponent's ball flies independently of ours
+    if (!replayViewer.active && !gamePause.paused) {
+        updateOpponentBall(frameTime);
+    }
+
+    if (window.updateScoreboardClocks) {
+        window.updateScoreboardClocks();
+    }
+
+    updateAimReticle();
+    updateTrajectoryPreview();
+
     renderer.render(scene, camera);
 }
 
@@ -3149,5 +6198,56 @@ function animate() {
 // init stats UI and game mode
 updateStatsUI();
 updateGameModeUI();
+applyDifficulty();
+updateSpinUI();
+
+// zone breakdown link in the stats panel
+const zoneStatsToggle = document.getElementById('zone-stats-toggle');
+if (zoneStatsToggle) {
+    zoneStatsToggle.addEventListener('click', toggleZoneStatsPanel);
+}
+
+// show the random seed so a session can be reproduced with ?seed=
+const seedStatus = document.getElementById('seed-status');
+if (seedStatus) {
+    seedStatus.textContent = `Seed: ${getSeed()} (add ?seed=${getSeed()} to the URL to reproduce)`;
+}
+
+// game modes come from game-modes.json
+setGameModeState('playing');
+buildModeSelector();
+loadGameModes();
+
+const modeSelect = document.getElementById('mode-select');
+if (modeSelect) {
+    modeSelect.addEventListener('change', () => {
+        enterGameMode(modeSelect.value);
+        // hand the keyboard back to the game
+        modeSelect.blur();
+    });
+}
+
+const difficultySelect = document.getElementById('difficulty-select');
+if (difficultySelect) {
+    difficultySelect.addEventListener('change', () => {
+        const message = setDifficulty(difficultySelect.value);
+        difficultySelect.blur();
+
+        const keyFeedback = document.getElementById('key-feedback');
+        if (keyFeedback) {
+            keyFeedback.textContent = message;
+            keyFeedback.style.opacity = '1';
+
+            setTimeout(() => {
+                keyFeedback.style.opacity = '0';
+            }, 2500);
+        }
+    });
+}
+
+// join an online match when the page was opened with ?room=<code>
+if (onlineMatch.room) {
+    joinOnlineMatch();
+}
 
 animate();
@@ -0,0 +1,102 @@
+// ==================
+// LOCAL LEADERBOARDS
+// ==================
+//
+// Top-10 tables for the timed modes, one per mode and difficulty, persisted in
+// localStorage so they survive a refresh. The storage object is passed in
+// (window.localStorage in the game) so the logic has no DOM dependency.
+
+export const LEADERBOARD_SIZE = 10;
+const STORAGE_PREFIX = 'basketball-leaderboard-';
+
+function storageKey(modeKey, difficulty) {
+    // tables saved before difficulty levels existed were played on Rookie and keep their key
+    // (':' can't appear in a mode key, so no mode's table collides with another's)
+    return difficulty === 'rookie' ? STORAGE_PREFIX + modeKey : `${STORAGE_PREFIX}${modeKey}:${difficulty}`;
+}
+
+function compareEntries(a, b) {
+    /*
+    higher score first, then higher accuracy, then whoever got there first
+    */
+
+    if (b.score !== a.score) return b.score - a.score;
+    if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy;
+    return a.date - b.date;
+}
+
+export function sanitizeInitials(initials) {
+    /*
+    keep up to 3 letters/digits, upper case ("???" if nothing usable is left)
+    */
+
+    const cleaned = String(initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return cleaned || '???';
+}
+
+export function loadLeaderboard(storage, modeKey, difficulty) {
+    /*
+    read the saved entries for a mode at a difficulty, best first
+    a missing or corrupt table reads as empty
+    */
+
+    try {
+        const saved = JSON.parse(storage.getItem(storageKey(modeKey, difficulty)) || '[]');
+        if (!Array.isArray(saved)) return [];
+
+        return saved
+            .filter(entry => entry &&
+                typeof entry.initials === 'string' &&
+                Number.isFinite(entry.score) &&
+                Number.isFinite(entry.accuracy) &&
+                Number.isFinite(entry.date))
+            .map(entry => ({ ...entry, difficulty }))
+            .sort(compareEntries)
+            .slice(0, LEADERBOARD_SIZE);
+    } catch (error) {
+        return [];
+    }
+}
+
+export function qualifiesForLeaderboard(entries, score) {
+    /*
+    check if a score would make it onto the table
+    */
+
+    if (score <= 0) return false;
+    if (entries.length < LEADERBOARD_SIZE) return true;
+    return score > entries[entries.length - 1].score;
+}
+
+export function addLeaderboardEntry(storage, modeKey, difficulty, entry, options = {}) {
+    /*
+    insert an entry into the mode's table for that difficulty and save it
+    returns { entries, rank } where rank is 1-based (0 if it didn't make the cut)
+    options.throwOnSaveError: rethrow storage errors instead of keeping the table for this session only
+    */
+
+    const newEntry = {
+        initials: sanitizeInitials(entry.initials),
+        score: entry.score,
+        accuracy: entry.accuracy,
+        difficulty: difficulty,
+        date: entry.date !== undefined ? entry.date : Date.now()
+    };
+
+    const entries = loadLeaderboard(storage, modeKey, difficulty);
+    entries.push(newEntry);
+    entries.sort(compareEntries);
+    const trimmed = entries.slice(0, LEADERBOARD_SIZE);
+
+    try {
+        storage.setItem(storageKey(modeKey, difficulty), JSON.stringify(trimmed));
+    } catch (error) {
+        if (options.throwOnSaveError) throw error;
+        // storage full or disabled - the table still shows for this session
+    }
+
+    return {
+        entries: trimmed,
+        rank: trimmed.indexOf(newEntry) + 1
+    };
+}
@@ -0,0 +1,148 @@
+import { isZoneName } from './zones.js';
+
+// =========================
+// GAME MODE DEFINITION FILE
+// =========================
+//
+// Game modes are described in game-modes.json (served by index.js) so new
+// drills can be added without touching the game code. This module checks the
+// file, fills in defaults and evaluates the win/lose conditions - hw6.js
+// decides what the other fields do in play.
+
+const KEY_PATTERN = /^[a-z0-9-]{1,40}$/; // also used for the leaderboard names
+const FREE_THROW_ROUTINES = ['streak', 'best-of'];
+const MAX_ZONE_POINTS = 10;
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function optionalPositiveInteger(definition, field, label) {
+    const value = definition[field];
+    if (value === undefined || value === null) return null;
+    if (!isPositiveInteger(value)) {
+        throw new Error(`Mode "${label}": ${field} must be a positive whole number`);
+    }
+    return value;
+}
+
+function parseFreeThrow(freeThrow, label) {
+    if (freeThrow === undefined || freeThrow === null) return null;
+
+    if (typeof freeThrow !== 'object' || !FREE_THROW_ROUTINES.includes(freeThrow.routine)) {
+        throw new Error(`Mode "${label}": freeThrow.routine must be one of ${FREE_THROW_ROUTINES.join(', ')}`);
+    }
+    if (freeThrow.routine === 'streak' && !isPositiveInteger(freeThrow.target)) {
+        throw new Error(`Mode "${label}": a streak routine needs a target`);
+    }
+    if (freeThrow.routine === 'best-of' && !isPositiveInteger(freeThrow.shots)) {
+        throw new Error(`Mode "${label}": a best-of routine needs a number of shots`);
+    }
+    return { ...freeThrow };
+}
+
+function parseModeDefinition(definition, index) {
+    /*
+    validate one entry of the file and return it with every field set
+    */
+
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Mode ${index + 1} is not an object`);
+    }
+    if (typeof definition.key !== 'string' || !KEY_PATTERN.test(definition.key)) {
+        throw new Error(`Mode ${index + 1}: key must be lower-case letters, digits and dashes`);
+    }
+
+    const label = definition.key;
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+        throw new Error(`Mode "${label}": name is required`);
+    }
+
+    let allowedZones = null;
+    if (definition.allowedZones !== undefined && definition.allowedZones !== null) {
+        if (!Array.isArray(definition.allowedZones) || definition.allowedZones.length === 0 ||
+            !definition.allowedZones.every(isZoneName)) {
+            throw new Error(`Mode "${label}": allowedZones must list known zones or zone groups`);
+        }
+        allowedZones = [...definition.allowedZones];
+    }
+
+    let pointsPerZone = null;
+    if (definition.pointsPerZone !== undefined && definition.pointsPerZone !== null) {
+        const entries = typeof definition.pointsPerZone === 'object' ? Object.entries(definition.pointsPerZone) : null;
+        if (!entries || !entries.every(([zone, points]) =>
+            isZoneName(zone) && Number.isInteger(points) && points >= 0 && points <= MAX_ZONE_POINTS)) {
+            throw new Error(`Mode "${label}": pointsPerZone must map zones to 0-${MAX_ZONE_POINTS} points`);
+        }
+        pointsPerZone = { ...definition.pointsPerZone };
+    }
+
+    return {
+        key: definition.key,
+        name: definition.name,
+        description: typeof definition.description === 'string' ? definition.description : '',
+        timeLimit: optionalPositiveInteger(definition, 'timeLimit', label),
+        showCountdown: definition.showCountdown === true,
+        allowedZones,
+        pointsPerZone,
+        targetScore: optionalPositiveInteger(definition, 'targetScore', label),
+        maxShots: optionalPositiveInteger(definition, 'maxShots', label),
+        maxMisses: optionalPositiveInteger(definition, 'maxMisses', label),
+        practice: definition.practice === true,
+        twoPlayer: definition.twoPlayer === true,
+        horse: definition.horse === true,
+        aroundTheWorld: definition.aroundTheWorld === true,
+        freeThrow: parseFreeThrow(definition.freeThrow, label)
+    };
+}
+
+export function parseModeDefinitions(data) {
+    /*
+    turn the parsed game-modes.json into { key: mode } in file order
+    throws an Error describing the first problem found
+    */
+
+    if (!data || !Array.isArray(data.modes) || data.modes.length === 0) {
+        throw new Error('The mode file needs a non-empty "modes" list');
+    }
+
+    const modes = {};
+    data.modes.forEach((definition, index) => {
+        const mode = parseModeDefinition(definition, index);
+        if (modes[mode.key]) {
+            throw new Error(`Mode "${mode.key}" is defined twice`);
+        }
+        modes[mode.key] = mode;
+    });
+
+    return modes;
+}
+
+export function evaluateModeOutcome(mode, progress) {
+    /*
+    check a mode's win/lose conditions
+    progress: { points, shotAttempts, misses, timeUp } of the current game
+    returns { won, reason } once the mode is over, otherwise null
+    */
+
+    // running out of time in a mode with a target score is a loss
+    if (progress.timeUp) {
+        if (!mode.targetScore) return null;
+        return progress.points >= mode.targetScore ?
+            { won: true, reason: `Reached ${mode.targetScore} points` } :
+            { won: false, reason: `Time's up - ${progress.points} of ${mode.targetScore} points` };
+    }
+
+    if (mode.targetScore && progress.points >= mode.targetScore) {
+        return { won: true, reason: `Reached ${mode.targetScore} points in ${progress.shotAttempts} shots` };
+    }
+    if (mode.maxMisses && progress.misses >= mode.maxMisses) {
+        return { won: false, reason: `${mode.maxMisses} misses` };
+    }
+    if (mode.maxShots && progress.shotAttempts >= mode.maxShots) {
+        return mode.targetScore ?
+            { won: false, reason: `Out of shots - ${progress.points} of ${mode.targetScore} points` } :
+            { won: true, reason: `${progress.points} points from ${mode.maxShots} shots` };
+    }
+    return null;
+}
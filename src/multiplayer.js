@@ -0,0 +1,73 @@
+// =========================
+// ONLINE MULTIPLAYER CLIENT
+// =========================
+//
+// Thin wrapper around the WebSocket room hosted by index.js
+// (server/multiplayer.js). It only moves messages - what to do with an
+// opponent's shot or a new score is decided by hw6.js through the handlers.
+
+const ROOM_PATTERN = /^[A-Za-z0-9-]{1,20}$/;
+
+export function roomFromQuery(search) {
+    /*
+    read the "?room=" query parameter, null if missing or not a valid code
+    */
+
+    const room = new URLSearchParams(search).get('room');
+    return room && ROOM_PATTERN.test(room) ? room : null;
+}
+
+export function connectToRoom(location, room, handlers) {
+    /*
+    open the room's socket on the server that served the page
+    handlers: { welcome, opponentJoined, opponentLeft, shot, score, error, closed }
+    returns { sendShot(origin, velocity, spin, difficulty, mode), sendResult(result), close() }
+    */
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}/ws?room=${encodeURIComponent(room)}`);
+
+    const messageHandlers = {
+        'welcome': handlers.welcome,
+        'opponent-joined': handlers.opponentJoined,
+        'opponent-left': handlers.opponentLeft,
+        'shot': handlers.shot,
+        'score': handlers.score,
+        'error': handlers.error
+    };
+
+    socket.addEventListener('message', event => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+
+        const handler = messageHandlers[message.type];
+        if (handler) handler(message);
+    });
+
+    socket.addEventListener('close', () => {
+        if (handlers.closed) handlers.closed();
+    });
+
+    function send(message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    return {
+        sendShot(origin, velocity, spin, difficulty, mode) {
+            send({ type: 'shot', origin, velocity, spin, difficulty, mode });
+        },
+        sendResult(result) {
+            // the server works out the points from the launch
+            send({ type: 'result', result });
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
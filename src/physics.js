@@ -0,0 +1,515 @@
+// ==================================
+// HEADLESS BASKETBALL PHYSICS MODULE
+// ==================================
+//
+// Pure ball simulation shared by the game (hw6.js) and anything that needs to
+// run shots without a browser. Nothing in here touches THREE, the scene or the
+// DOM - every function takes plain {x, y, z} objects and returns new ones.
+
+// physics constants
+export const GRAVITY = -9.8;  // gravity on earth is around -9.8 m/s^2
+export const AIR_RESISTANCE = 0.018; // reduced air resistance for better shots
+export const MAGNUS_COEFFICIENT = 0.004; // Magnus acceleration per (rad/s x m/s)
+const SPIN_AIR_DAMPING = 0.05; // share of the spin lost per second in the air
+const INERTIA_FACTOR = 2 / 3; // moment of inertia of a hollow ball / (m r^2)
+const FLOOR_FRICTION = 0.1; // share of the sliding speed taken away per floor contact
+const ROLLING_DAMPING = 0.9; // speed and spin kept per step while the ball rolls on the floor
+
+// speeds (m/s) under which a bouncing ball is considered to have come to rest
+const REST_BOUNCE_SPEED = 0.5;
+const REST_SPEED = 0.5;
+
+function copyVector(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function distanceBetween(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow(a.z - b.z, 2)
+    );
+}
+
+// ===========
+// LAUNCH MATH
+// ===========
+
+// the full help a launch gets (Rookie difficulty)
+export const FULL_ASSIST = {
+    closeRange: true, // minimum power for shots close to the basket
+    heightBoost: 1 // share of the extra lift for the rim height
+};
+
+export function computeLaunchVelocity(ballPosition, targetBasket, shotPower, baseVelocity, aim = null, assist = FULL_ASSIST) {
+    /*
+    compute the initial velocity of a shot towards the target basket
+    ballPosition: {x, y, z} release point
+    targetBasket: {x, y, z} rim centre being aimed at
+    shotPower: power level (0-100)
+    baseVelocity: launch speed at full power factor
+    aim: optional manual aim { horizontalOffset, releaseAngle } in radians - without it
+    the shot is assisted (angle picked from the distance, close shots and height helped)
+    assist: how much help the launch gets (see FULL_ASSIST)
+    */
+
+    if (aim) {
+        return computeManualLaunchVelocity(ballPosition, targetBasket, shotPower, baseVelocity, aim, assist);
+    }
+
+    // direction vector to the target basket
+    const distance = distanceBetween(ballPosition, targetBasket);
+    const direction = {
+        x: (targetBasket.x - ballPosition.x) / distance,
+        y: (targetBasket.y - ballPosition.y) / distance,
+        z: (targetBasket.z - ballPosition.z) / distance
+    };
+
+    // calculate power factor based on current power level (0-1)
+    let powerFactor = 0.45 + (shotPower / 100) * 0.5;
+
+    // for close shots
+    if (assist.closeRange && distance < 3) {
+        powerFactor = Math.max(powerFactor, 0.6);
+
+        if (distance < 1.5) {
+            powerFactor = Math.max(powerFactor, 0.7);
+        }
+    }
+
+    // set velocity based on direction and power
+    const speed = baseVelocity * powerFactor;
+
+    // height diff between ball and basket
+    const heightDiff = targetBasket.y - ballPosition.y;
+
+    let verticalAngle;
+
+    if (distance < 1.5) {
+        verticalAngle = Math.PI / 1.7;
+    }
+    else if (distance < 3) {
+        verticalAngle = Math.PI / 2.0; // high arc for close shots
+    }
+    else if (distance < 6) {
+        verticalAngle = Math.PI / 2.5 + (6 - distance) / 10;
+    }
+    else if (distance < 10) {
+        verticalAngle = Math.PI / 3 + (10 - distance) / 20;
+    }
+    else {
+        verticalAngle = Math.PI / 4 + (distance / 40) * 0.5;
+        verticalAngle = Math.min(verticalAngle, Math.PI / 2.8);
+    }
+
+    const velocity = {
+        x: direction.x * speed * Math.cos(verticalAngle),
+        y: speed * Math.sin(verticalAngle),
+        z: direction.z * speed * Math.cos(verticalAngle)
+    };
+
+    velocity.y += heightDiff * verticalBoostFactor(distance) * assist.heightBoost;
+
+    return velocity;
+}
+
+function verticalBoostFactor(distance) {
+    /*
+    extra upward speed per metre the rim is above the release point
+    */
+
+    if (distance < 1.5) {
+        return 0.6;
+    }
+    else if (distance < 3) {
+        return 0.5;
+    }
+    else if (distance < 6) {
+        return 0.4;
+    }
+    return 0.35;
+}
+
+function computeManualLaunchVelocity(ballPosition, targetBasket, shotPower, baseVelocity, aim, assist) {
+    /*
+    launch where the player aimed: the horizontal direction to the basket turned by
+    aim.horizontalOffset, released at aim.releaseAngle above the floor
+    only the lift for the rim height is kept, there is no help for close shots
+    */
+
+    const distance = distanceBetween(ballPosition, targetBasket);
+    const dx = targetBasket.x - ballPosition.x;
+    const dz = targetBasket.z - ballPosition.z;
+    const horizontalDistance = Math.sqrt(dx * dx + dz * dz) || 1;
+
+    // rotate the direction to the basket around the vertical axis
+    const cos = Math.cos(aim.horizontalOffset);
+    const sin = Math.sin(aim.horizontalOffset);
+    const directionX = (dx * cos - dz * sin) / horizontalDistance;
+    const directionZ = (dx * sin + dz * cos) / horizontalDistance;
+
+    const speed = baseVelocity * (0.45 + (shotPower / 100) * 0.5);
+
+    return {
+        x: directionX * speed * Math.cos(aim.releaseAngle),
+        y: speed * Math.sin(aim.releaseAngle) + (targetBasket.y - ballPosition.y) * verticalBoostFactor(distance) * assist.heightBoost,
+        z: directionZ * speed * Math.cos(aim.releaseAngle)
+    };
+}
+
+export function applyReleaseError(velocity, speedError, angleError) {
+    /*
+    spoil a launch velocity the way a poor release does
+    speedError: fraction added to the launch speed (-0.05 = 5% short)
+    angleError: radians the shot is pushed off line around the vertical axis
+    */
+
+    const scale = 1 + speedError;
+    const cos = Math.cos(angleError);
+    const sin = Math.sin(angleError);
+
+    return {
+        x: (velocity.x * cos - velocity.z * sin) * scale,
+        y: velocity.y * scale,
+        z: (velocity.x * sin + velocity.z * cos) * scale
+    };
+}
+
+export function computeLaunchSpin(velocity, backspin, sidespin) {
+    /*
+    angular velocity (rad/s) for a shot launched with the given velocity
+    backspin: around the horizontal axis across the flight, positive = backspin (the ball lifts)
+    sidespin: around the vertical axis, positive curves the ball to the left of its flight
+    */
+
+    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z) || 1;
+    const forwardX = velocity.x / horizontalSpeed;
+    const forwardZ = velocity.z / horizontalSpeed;
+
+    // forward x up is the backspin axis
+    return {
+        x: -forwardZ * backspin,
+        y: sidespin,
+        z: forwardX * backspin
+    };
+}
+
+// ===========
+// INTEGRATION
+// ===========
+
+export function stepBall(state, deltaTime, world) {
+    /*
+    advance a ball in flight by deltaTime seconds
+    state: { position: {x, y, z}, velocity: {x, y, z}, spin?: {x, y, z} } - spin is the
+    angular velocity in rad/s (none if missing)
+    world: { floorY, ballRadius, courtBounds, hoops, rimRestitution,
+             backboardRestitution, contactFriction, gravity?, airResistance? }
+    returns { state, contacts: { floor, wall, rim, backboard }, atRest }
+    */
+
+    const gravity = world.gravity !== undefined ? world.gravity : GRAVITY;
+    const airResistance = world.airResistance !== undefined ? world.airResistance : AIR_RESISTANCE;
+
+    const lastPosition = copyVector(state.position);
+    const position = copyVector(state.position);
+    const velocity = copyVector(state.velocity);
+    const spin = state.spin ? copyVector(state.spin) : { x: 0, y: 0, z: 0 };
+    const contacts = { floor: false, wall: false, rim: false, backboard: false };
+    let atRest = false;
+
+    velocity.y += gravity * deltaTime;
+
+    // Magnus force - a spinning ball is pushed towards spin x velocity
+    const magnus = cross(spin, velocity);
+    velocity.x += magnus.x * MAGNUS_COEFFICIENT * deltaTime;
+    velocity.y += magnus.y * MAGNUS_COEFFICIENT * deltaTime;
+    velocity.z += magnus.z * MAGNUS_COEFFICIENT * deltaTime;
+
+    spin.x *= (1 - SPIN_AIR_DAMPING * deltaTime);
+    spin.y *= (1 - SPIN_AIR_DAMPING * deltaTime);
+    spin.z *= (1 - SPIN_AIR_DAMPING * deltaTime);
+
+    // apply air resistance (slowing the ball down slightly)
+    velocity.x *= (1 - airResistance * deltaTime);
+    velocity.y *= (1 - airResistance * deltaTime);
+    velocity.z *= (1 - airResistance * deltaTime);
+
+    // move the ball based on velocity
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+
+    // detect collisions with the floor
+    if (position.y < world.floorY) {
+        position.y = world.floorY;
+        contacts.floor = true;
+
+        // a real bounce or just settling/rolling on the floor
+        const rolling = Math.abs(velocity.y) < REST_BOUNCE_SPEED * 2;
+
+        // bounce with energy loss
+        const bounceFactor = 0.6;
+        velocity.y = -velocity.y * bounceFactor;
+
+        // floor friction acts on the sliding of the contact point, so spin kicks the ball
+        // forward (topspin) or checks it (backspin) and the ball picks up spin
+        applySpinFriction(velocity, spin, { x: 0, y: 1, z: 0 }, world.ballRadius, FLOOR_FRICTION);
+
+        if (rolling) {
+            velocity.x *= ROLLING_DAMPING;
+            velocity.z *= ROLLING_DAMPING;
+            spin.x *= ROLLING_DAMPING;
+            spin.y *= ROLLING_DAMPING;
+            spin.z *= ROLLING_DAMPING;
+        }
+
+        // if the ball is moving very slowly after a bounce, it has come to rest
+        if (Math.abs(velocity.y) < REST_BOUNCE_SPEED && speed < REST_SPEED) {
+            atRest = true;
+        }
+    }
+
+    // detect collision with court boundaries
+    const bounds = world.courtBounds;
+    if (position.x < bounds.minX) {
+        position.x = bounds.minX;
+        velocity.x = -velocity.x * 0.8;
+        contacts.wall = true;
+    } else if (position.x > bounds.maxX) {
+        position.x = bounds.maxX;
+        velocity.x = -velocity.x * 0.8;
+        contacts.wall = true;
+    }
+
+    if (position.z < bounds.minZ) {
+        position.z = bounds.minZ;
+        velocity.z = -velocity.z * 0.8;
+        contacts.wall = true;
+    } else if (position.z > bounds.maxZ) {
+        position.z = bounds.maxZ;
+        velocity.z = -velocity.z * 0.8;
+        contacts.wall = true;
+    }
+
+    // bounce off the rims and backboards
+    Object.values(world.hoops || {}).forEach(hoop => {
+        if (!hoop) return;
+
+        if (resolveBackboardCollision(position, lastPosition, velocity, spin, hoop.backboard, world)) {
+            contacts.backboard = true;
+        }
+        if (resolveRimCollision(position, velocity, spin, hoop.rim, world)) {
+            contacts.rim = true;
+        }
+    });
+
+    return {
+        state: { position, velocity, spin },
+        contacts,
+        atRest
+    };
+}
+
+const IDEAL_POWER_FLIGHT_TIME = 4; // seconds a trial shot is flown before it is given up on
+
+function rimPlaneMiss(origin, target, shot, world, timeStep) {
+    /*
+    horizontal distance from the rim centre where a shot first drops through the rim plane
+    Infinity if it never comes down through it
+    */
+
+    let state = { position: copyVector(origin), velocity: copyVector(shot.velocity), spin: copyVector(shot.spin) };
+
+    for (let time = 0; time < IDEAL_POWER_FLIGHT_TIME; time += timeStep) {
+        const previousY = state.position.y;
+        const step = stepBall(state, timeStep, world);
+        state = step.state;
+
+        if (previousY >= target.y && state.position.y < target.y) {
+            return Math.hypot(state.position.x - target.x, state.position.z - target.z);
+        }
+        if (step.contacts.floor || step.atRest) break;
+    }
+    return Infinity;
+}
+
+export function findIdealPower(origin, target, launch, world, timeStep = 1 / 240) {
+    /*
+    the shot power (0-100) that drops the ball through the rim plane closest to the rim centre
+    launch(power) returns the { velocity, spin } a shot at that power leaves with
+    searches every 5% first, then every 1% around the best; null if no power gets the ball there
+    */
+
+    let best = { power: null, miss: Infinity };
+    const tryPower = power => {
+        const miss = rimPlaneMiss(origin, target, launch(power), world, timeStep);
+        if (miss < best.miss) best = { power, miss };
+    };
+
+    for (let power = 0; power <= 100; power += 5) tryPower(power);
+    if (best.power === null) return null;
+
+    const coarse = best.power;
+    for (let power = Math.max(0, coarse - 4); power <= Math.min(100, coarse + 4); power++) {
+        if (power !== coarse) tryPower(power);
+    }
+    return best.power;
+}
+
+// ==================
+// COLLISION HANDLING
+// ==================
+
+function resolveRimCollision(position, velocity, spin, rim, world) {
+    /*
+    sphere vs torus contact - the closest point on a horizontal torus to the ball
+    lies on the rim's centre circle, so we push the ball out along that direction
+    */
+
+    // direction from the rim centre to the ball, projected onto the rim plane
+    const dx = position.x - rim.center.x;
+    const dz = position.z - rim.center.z;
+    const horizontalDistance = Math.sqrt(dx * dx + dz * dz);
+    const dirX = horizontalDistance > 1e-6 ? dx / horizontalDistance : 1;
+    const dirZ = horizontalDistance > 1e-6 ? dz / horizontalDistance : 0;
+
+    // closest point on the rim's centre circle
+    const closestX = rim.center.x + dirX * rim.radius;
+    const closestY = rim.center.y;
+    const closestZ = rim.center.z + dirZ * rim.radius;
+
+    const offsetX = position.x - closestX;
+    const offsetY = position.y - closestY;
+    const offsetZ = position.z - closestZ;
+    const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY + offsetZ * offsetZ);
+    const contactDistance = world.ballRadius + rim.tubeRadius;
+
+    if (distance >= contactDistance || distance < 1e-9) return false;
+
+    const normal = {
+        x: offsetX / distance,
+        y: offsetY / distance,
+        z: offsetZ / distance
+    };
+
+    applyContact(position, velocity, spin, normal, contactDistance - distance, world.rimRestitution, world.contactFriction, world.ballRadius);
+    return true;
+}
+
+function resolveBackboardCollision(position, lastPosition, velocity, spin, box, world) {
+    /*
+    sphere vs axis-aligned box contact for the backboard
+    */
+
+    const ballRadius = world.ballRadius;
+
+    // closest point on the box to the ball centre
+    const closestX = Math.max(box.min.x, Math.min(position.x, box.max.x));
+    const closestY = Math.max(box.min.y, Math.min(position.y, box.max.y));
+    const closestZ = Math.max(box.min.z, Math.min(position.z, box.max.z));
+
+    const offsetX = position.x - closestX;
+    const offsetY = position.y - closestY;
+    const offsetZ = position.z - closestZ;
+    const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY + offsetZ * offsetZ);
+
+    if (distance >= ballRadius) return false;
+
+    let normal;
+    let penetration;
+
+    if (distance < 1e-9) {
+        // the ball centre ended up inside the board, push it back out of the face it came from
+        const boxCenterX = (box.min.x + box.max.x) / 2;
+        const cameFromFront = lastPosition.x < boxCenterX;
+        normal = { x: cameFromFront ? -1 : 1, y: 0, z: 0 };
+        penetration = cameFromFront ?
+            position.x - (box.min.x - ballRadius) :
+            (box.max.x + ballRadius) - position.x;
+    } else {
+        normal = {
+            x: offsetX / distance,
+            y: offsetY / distance,
+            z: offsetZ / distance
+        };
+        penetration = ballRadius - distance;
+    }
+
+    applyContact(position, velocity, spin, normal, penetration, world.backboardRestitution, world.contactFriction, ballRadius);
+    return true;
+}
+
+function applyContact(position, velocity, spin, normal, penetration, restitution, friction, ballRadius) {
+    /*
+    push the ball out of a surface, reflect the normal part of its velocity and
+    apply friction to the sliding of the contact point (friction = tangential speed
+    kept by a ball without spin)
+    */
+
+    position.x += normal.x * penetration;
+    position.y += normal.y * penetration;
+    position.z += normal.z * penetration;
+
+    const normalSpeed = velocity.x * normal.x + velocity.y * normal.y + velocity.z * normal.z;
+
+    // only bounce if the ball is moving into the surface
+    if (normalSpeed >= 0) return;
+
+    // reflect the normal part, then let friction work on the tangent
+    velocity.x -= (1 + restitution) * normalSpeed * normal.x;
+    velocity.y -= (1 + restitution) * normalSpeed * normal.y;
+    velocity.z -= (1 + restitution) * normalSpeed * normal.z;
+
+    applySpinFriction(velocity, spin, normal, ballRadius, 1 - friction);
+}
+
+function applySpinFriction(velocity, spin, normal, ballRadius, strength) {
+    /*
+    friction impulse against the sliding of the contact point (velocity + spin x lever)
+    strength: share of the slip removed from the linear velocity; the same impulse
+    torques the spin, capped where the ball would start rolling without slipping
+    */
+
+    // lever from the ball centre to the contact point
+    const lever = {
+        x: -normal.x * ballRadius,
+        y: -normal.y * ballRadius,
+        z: -normal.z * ballRadius
+    };
+
+    const spinVelocity = cross(spin, lever);
+    const slip = {
+        x: velocity.x + spinVelocity.x,
+        y: velocity.y + spinVelocity.y,
+        z: velocity.z + spinVelocity.z
+    };
+    const slipNormal = slip.x * normal.x + slip.y * normal.y + slip.z * normal.z;
+    slip.x -= slipNormal * normal.x;
+    slip.y -= slipNormal * normal.y;
+    slip.z -= slipNormal * normal.z;
+
+    // the slip shrinks by (1 + 1 / INERTIA_FACTOR) times the speed change, so stop at rolling
+    const share = Math.min(strength, INERTIA_FACTOR / (1 + INERTIA_FACTOR));
+    const change = { x: -slip.x * share, y: -slip.y * share, z: -slip.z * share };
+
+    velocity.x += change.x;
+    velocity.y += change.y;
+    velocity.z += change.z;
+
+    const torque = cross(lever, change);
+    const inertia = INERTIA_FACTOR * ballRadius * ballRadius;
+    spin.x += torque.x / inertia;
+    spin.y += torque.y / inertia;
+    spin.z += torque.z / inertia;
+}
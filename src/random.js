@@ -0,0 +1,90 @@
+// =============================
+// SEEDABLE RANDOM NUMBER SOURCE
+// =============================
+//
+// Every random value that shapes the game (court/ball/bleacher textures,
+// shot release error) is pulled from this one generator, so a game started
+// with the same seed looks and plays back exactly the same. Purely cosmetic
+// per-frame effects use cosmeticRandom() instead: how many values they draw
+// depends on the frame rate, and they must not shift the seeded stream.
+
+let currentSeed = 0;
+let state = 0;
+let cosmeticState = 0;
+
+// offset so the cosmetic stream doesn't repeat the seeded one
+const COSMETIC_STREAM_OFFSET = 0x9E3779B9;
+
+function hashSeed(seed) {
+    /*
+    turn any seed (number or string) into a 32-bit unsigned integer
+    numeric seeds are used as-is, other strings are hashed with FNV-1a
+    */
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function setSeed(seed) {
+    /*
+    restart the generator from the given seed
+    */
+
+    currentSeed = hashSeed(seed);
+    state = currentSeed;
+    cosmeticState = (currentSeed ^ COSMETIC_STREAM_OFFSET) >>> 0;
+    return currentSeed;
+}
+
+export function getSeed() {
+    return currentSeed;
+}
+
+function mulberry32(value) {
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function random() {
+    /*
+    drop-in replacement for Math.random() (mulberry32)
+    returns a float in [0, 1)
+    */
+
+    state = (state + 0x6D2B79F5) >>> 0;
+    return mulberry32(state);
+}
+
+export function cosmeticRandom() {
+    /*
+    same as random() but from a separate stream, for effects drawn every frame
+    returns a float in [0, 1)
+    */
+
+    cosmeticState = (cosmeticState + 0x6D2B79F5) >>> 0;
+    return mulberry32(cosmeticState);
+}
+
+export function seedFromQuery(search) {
+    /*
+    seed the generator from a "?seed=" query parameter
+    without one, a fresh seed is picked so it can still be reported and reused
+    */
+
+    const requested = new URLSearchParams(search).get('seed');
+    if (requested !== null && requested !== '') {
+        return setSeed(requested);
+    }
+    return setSeed(Math.floor(Math.random() * 4294967296));
+}
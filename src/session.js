@@ -0,0 +1,269 @@
+import { isDifficulty } from './difficulty.js';
+
+// =========================
+// SESSION EXPORT AND IMPORT
+// =========================
+//
+// Converts a shooting session (every attempt, the stats panel, free throw and
+// head-to-head totals, the scoreboard and the recorded replays) to and from a
+// JSON file. Pure data in and out -
+// gathering the session and applying an imported one is done by hw6.js.
+
+export const SESSION_FORMAT = 'basketball-session';
+export const SESSION_VERSION = 1;
+
+const RESULTS = ['made', 'missed', null];
+
+function roundNumber(value) {
+    // keep exported replays compact (0.1mm / 0.0001 rad is plenty)
+    return Math.round(value * 10000) / 10000;
+}
+
+function roundVector(vector) {
+    return { x: roundNumber(vector.x), y: roundNumber(vector.y), z: roundNumber(vector.z) };
+}
+
+function roundQuaternion(quaternion) {
+    return { ...roundVector(quaternion), w: roundNumber(quaternion.w) };
+}
+
+function eulerToQuaternion(rotation) {
+    /*
+    convert XYZ Euler angles (three.js default order) to a quaternion
+    older exports recorded the ball orientation as Euler angles
+    */
+
+    const c1 = Math.cos(rotation.x / 2);
+    const c2 = Math.cos(rotation.y / 2);
+    const c3 = Math.cos(rotation.z / 2);
+    const s1 = Math.sin(rotation.x / 2);
+    const s2 = Math.sin(rotation.y / 2);
+    const s3 = Math.sin(rotation.z / 2);
+
+    return {
+        x: s1 * c2 * c3 + c1 * s2 * s3,
+        y: c1 * s2 * c3 - s1 * c2 * s3,
+        z: c1 * c2 * s3 + s1 * s2 * c3,
+        w: c1 * c2 * c3 - s1 * s2 * s3
+    };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function isVector(value, keys = ['x', 'y', 'z']) {
+    return isObject(value) && keys.every(key => isFiniteNumber(value[key]));
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+const PLAYER_STAT_KEYS = ['shotAttempts', 'shotsMade', 'points', 'turnovers'];
+
+export function serializeSession(session) {
+    /*
+    build the JSON text for a session
+    session: { startedAt, seed, stats, freeThrows, headToHead, scores, attempts, replays }
+    headToHead: { current, players: [stats, stats] } with the live numbers of the player on the ball
+    replays reference their attempt through attemptIndex
+    */
+
+    const data = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: new Date().toISOString(),
+        startedAt: session.startedAt,
+        seed: session.seed,
+        stats: {
+            shotAttempts: session.stats.shotAttempts,
+            shotsMade: session.stats.shotsMade,
+            points: session.stats.points,
+            turnovers: session.stats.turnovers
+        },
+        freeThrows: {
+            attempts: session.freeThrows.attempts,
+            made: session.freeThrows.made
+        },
+        headToHead: {
+            current: session.headToHead.current,
+            players: session.headToHead.players.map(player => ({
+                shotAttempts: player.shotAttempts,
+                shotsMade: player.shotsMade,
+                points: player.points,
+                turnovers: player.turnovers
+            }))
+        },
+        scores: {
+            home: session.scores.home,
+            away: session.scores.away
+        },
+        attempts: session.attempts.map(attempt => ({
+            mode: attempt.mode,
+            difficulty: attempt.difficulty,
+            origin: { x: roundNumber(attempt.origin.x), z: roundNumber(attempt.origin.z) },
+            targetBasket: roundVector(attempt.targetBasket),
+            power: attempt.power,
+            result: attempt.result,
+            points: attempt.points,
+            takenAt: attempt.takenAt,
+            resolvedAt: attempt.resolvedAt
+        })),
+        replays: session.replays.map(replay => ({
+            attemptIndex: replay.attemptIndex,
+            duration: roundNumber(replay.duration),
+            frames: replay.frames.map(frame => ({
+                t: roundNumber(frame.t),
+                position: roundVector(frame.position),
+                quaternion: roundQuaternion(frame.quaternion),
+                velocity: roundVector(frame.velocity)
+            }))
+        }))
+    };
+
+    return JSON.stringify(data);
+}
+
+export function parseSession(text) {
+    /*
+    parse and validate an exported session
+    throws an Error describing the first problem found
+    */
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!data || data.format !== SESSION_FORMAT) {
+        throw new Error('File is not a basketball session export');
+    }
+    if (data.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${data.version}`);
+    }
+
+    const stats = data.stats || {};
+    if (!['shotAttempts', 'shotsMade', 'points'].every(key => isCount(stats[key])) ||
+        (stats.turnovers !== undefined && !isCount(stats.turnovers)) ||
+        stats.shotsMade > stats.shotAttempts) {
+        throw new Error('Session stats are missing or invalid');
+    }
+
+    // free throw and head-to-head totals are missing from older exports
+    const freeThrows = data.freeThrows || { attempts: 0, made: 0 };
+    if (!isCount(freeThrows.attempts) || !isCount(freeThrows.made) || freeThrows.made > freeThrows.attempts) {
+        throw new Error('Session free throw totals are invalid');
+    }
+
+    const headToHead = data.headToHead || null;
+    if (headToHead !== null && (
+        !isObject(headToHead) ||
+        (headToHead.current !== 0 && headToHead.current !== 1) ||
+        !Array.isArray(headToHead.players) ||
+        headToHead.players.length !== 2 ||
+        !headToHead.players.every(player => isObject(player) && PLAYER_STAT_KEYS.every(key => isCount(player[key])) &&
+            player.shotsMade <= player.shotAttempts))) {
+        throw new Error('Session head-to-head stats are invalid');
+    }
+
+    const scores = data.scores || {};
+    if (!Number.isInteger(scores.home) || !Number.isInteger(scores.away)) {
+        throw new Error('Session scores are missing or invalid');
+    }
+
+    if (!Array.isArray(data.attempts)) {
+        throw new Error('Session attempts are missing');
+    }
+    data.attempts.forEach((attempt, index) => {
+        if (!isObject(attempt) ||
+            typeof attempt.mode !== 'string' ||
+            (attempt.difficulty !== undefined && attempt.difficulty !== null && !isDifficulty(attempt.difficulty)) ||
+            !isVector(attempt.origin, ['x', 'z']) ||
+            !isVector(attempt.targetBasket) ||
+            !isFiniteNumber(attempt.power) ||
+            !RESULTS.includes(attempt.result) ||
+            !isCount(attempt.points) ||
+            (attempt.result === 'made') !== (attempt.points > 0) ||
+            !isFiniteNumber(attempt.takenAt)) {
+            throw new Error(`Attempt ${index + 1} is invalid`);
+        }
+    });
+
+    // every counted shot is also a logged attempt (the log covers the whole session,
+    // the stats only the current game, so the stats can't be more than the log)
+    const loggedMade = data.attempts.filter(attempt => attempt.result === 'made');
+    const loggedPoints = loggedMade.reduce((sum, attempt) => sum + attempt.points, 0);
+    const players = headToHead ? headToHead.players : [];
+    if ([stats, ...players].some(player => player.shotAttempts > data.attempts.length ||
+            player.shotsMade > loggedMade.length || player.points > loggedPoints) ||
+        freeThrows.attempts > data.attempts.length ||
+        freeThrows.made > loggedMade.length) {
+        throw new Error('Session totals do not match the attempts');
+    }
+
+    const replays = Array.isArray(data.replays) ? data.replays : [];
+    replays.forEach((replay, index) => {
+        if (!isObject(replay) ||
+            !Number.isInteger(replay.attemptIndex) ||
+            replay.attemptIndex < 0 ||
+            replay.attemptIndex >= data.attempts.length ||
+            !isFiniteNumber(replay.duration) ||
+            !Array.isArray(replay.frames) ||
+            replay.frames.length === 0 ||
+            !replay.frames.every(frame => isObject(frame) && isFiniteNumber(frame.t) &&
+                isVector(frame.position) && isVector(frame.velocity) &&
+                (isVector(frame.quaternion, ['x', 'y', 'z', 'w']) || isVector(frame.rotation)))) {
+            throw new Error(`Replay ${index + 1} is invalid`);
+        }
+    });
+
+    return {
+        startedAt: data.startedAt,
+        seed: data.seed,
+        stats: {
+            shotAttempts: stats.shotAttempts,
+            shotsMade: stats.shotsMade,
+            points: stats.points,
+            turnovers: stats.turnovers !== undefined ? stats.turnovers : 0
+        },
+        freeThrows: { attempts: freeThrows.attempts, made: freeThrows.made },
+        headToHead: headToHead ? {
+            current: headToHead.current,
+            players: headToHead.players.map(player => ({
+                shotAttempts: player.shotAttempts,
+                shotsMade: player.shotsMade,
+                points: player.points,
+                turnovers: player.turnovers
+            }))
+        } : null,
+        scores: { home: scores.home, away: scores.away },
+        attempts: data.attempts.map(attempt => ({
+            mode: attempt.mode,
+            difficulty: isDifficulty(attempt.difficulty) ? attempt.difficulty : null, // older exports don't have it
+            origin: { x: attempt.origin.x, z: attempt.origin.z },
+            targetBasket: { ...attempt.targetBasket },
+            power: attempt.power,
+            result: attempt.result,
+            points: attempt.points,
+            takenAt: attempt.takenAt,
+            resolvedAt: isFiniteNumber(attempt.resolvedAt) ? attempt.resolvedAt : null
+        })),
+        replays: replays.map(replay => ({
+            attemptIndex: replay.attemptIndex,
+            duration: replay.duration,
+            frames: replay.frames.map(frame => ({
+                t: frame.t,
+                position: frame.position,
+                quaternion: isVector(frame.quaternion, ['x', 'y', 'z', 'w']) ? frame.quaternion : eulerToQuaternion(frame.rotation),
+                velocity: frame.velocity
+            }))
+        }))
+    };
+}
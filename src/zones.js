@@ -0,0 +1,135 @@
+// ==========
+// SHOT ZONES
+// ==========
+//
+// Splits the half court around a basket into the usual shooting zones. Game
+// modes use the zone ids (or the group names below) to restrict where shots
+// may be taken from and to give each zone its own point value.
+
+// court measurements relative to the rim centre (m)
+const RIM_TO_BASELINE = 1.15;
+const THREE_POINT_RADIUS = 6.75; // same arc isThreePointShot uses
+const RESTRICTED_AREA_RADIUS = 1.25;
+const KEY_LENGTH = 5.8; // from the baseline
+const KEY_HALF_WIDTH = 1.8;
+const CORNER_DEPTH = 4.2; // three-pointers this close to the baseline are corner threes
+const TOP_OF_KEY_ANGLE = Math.PI / 6; // within 30 degrees of straight out from the basket
+
+export const SHOT_ZONES = {
+    'restricted-area': { name: 'Restricted Area', points: 2 },
+    'paint': { name: 'Paint', points: 2 },
+    'mid-range': { name: 'Mid-Range', points: 2 },
+    'corner-three': { name: 'Corner Three', points: 3 },
+    'wing-three': { name: 'Wing Three', points: 3 },
+    'top-of-key-three': { name: 'Top of the Key Three', points: 3 }
+};
+
+// groups, most specific first (used when looking up a zone's point value)
+export const ZONE_GROUPS = {
+    'in-the-paint': ['restricted-area', 'paint'],
+    'above-break-three': ['wing-three', 'top-of-key-three'],
+    'two-point': ['restricted-area', 'paint', 'mid-range'],
+    'three-point': ['corner-three', 'wing-three', 'top-of-key-three'],
+    'all': Object.keys(SHOT_ZONES)
+};
+
+const GROUP_NAMES = {
+    'in-the-paint': 'Paint',
+    'above-break-three': 'Above-the-Break Three',
+    'two-point': 'Two-Point Range',
+    'three-point': '3-Point Line',
+    'all': 'Anywhere'
+};
+
+export function zoneDisplayName(name) {
+    return SHOT_ZONES[name] ? SHOT_ZONES[name].name : (GROUP_NAMES[name] || name);
+}
+
+export function isZoneName(name) {
+    return Object.hasOwn(SHOT_ZONES, name) || Object.hasOwn(ZONE_GROUPS, name);
+}
+
+export function classifyShotZone(shot, basket) {
+    /*
+    zone id for a shot taken from shot {x, z} at the rim centred on basket {x, z}
+    */
+
+    const side = basket.x >= 0 ? 1 : -1;
+    const outFromBasket = side * (basket.x - shot.x); // towards half court
+    const lateral = shot.z - basket.z;
+    const distance = Math.sqrt(outFromBasket * outFromBasket + lateral * lateral);
+    const fromBaseline = RIM_TO_BASELINE + outFromBasket;
+
+    if (distance > THREE_POINT_RADIUS) {
+        if (fromBaseline <= CORNER_DEPTH) return 'corner-three';
+
+        const angle = Math.atan2(Math.abs(lateral), outFromBasket);
+        return angle <= TOP_OF_KEY_ANGLE ? 'top-of-key-three' : 'wing-three';
+    }
+
+    if (distance <= RESTRICTED_AREA_RADIUS) return 'restricted-area';
+    if (fromBaseline <= KEY_LENGTH && Math.abs(lateral) <= KEY_HALF_WIDTH) return 'paint';
+    return 'mid-range';
+}
+
+export function zoneInList(zone, names) {
+    /*
+    check if a zone is one of the given zone ids / group names
+    */
+
+    return names.some(name => name === zone || (ZONE_GROUPS[name] && ZONE_GROUPS[name].includes(zone)));
+}
+
+export function pointsForZone(zone, pointsPerZone) {
+    /*
+    point value of a made shot from a zone
+    an exact zone entry wins over a group entry, otherwise the zone's default
+    */
+
+    if (pointsPerZone) {
+        if (zone in pointsPerZone) return pointsPerZone[zone];
+
+        const group = Object.keys(ZONE_GROUPS).find(name => name in pointsPerZone && ZONE_GROUPS[name].includes(zone));
+        if (group) return pointsPerZone[group];
+    }
+
+    return SHOT_ZONES[zone].points;
+}
+
+export function zoneStatistics(shots) {
+    /*
+    per-zone shooting numbers for a list of decided shots { zone, result } in order
+    returns { zone id: { attempts, made, fgPercentage, efgPercentage, streak, bestStreak } }
+    eFG% counts a made three as 1.5 makes
+    */
+
+    const stats = {};
+    Object.keys(SHOT_ZONES).forEach(zone => {
+        stats[zone] = { attempts: 0, made: 0, fgPercentage: 0, efgPercentage: 0, streak: 0, bestStreak: 0 };
+    });
+
+    shots.forEach(shot => {
+        const zone = stats[shot.zone];
+        if (!zone) return;
+
+        zone.attempts++;
+        if (shot.result === 'made') {
+            zone.made++;
+            zone.streak++;
+            zone.bestStreak = Math.max(zone.bestStreak, zone.streak);
+        } else {
+            zone.streak = 0;
+        }
+    });
+
+    Object.keys(stats).forEach(name => {
+        const zone = stats[name];
+        if (zone.attempts === 0) return;
+
+        const threeBonus = SHOT_ZONES[name].points === 3 ? 0.5 * zone.made : 0;
+        zone.fgPercentage = Math.round(zone.made / zone.attempts * 100);
+        zone.efgPercentage = Math.round((zone.made + threeBonus) / zone.attempts * 100);
+    });
+
+    return stats;
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_DIFFICULTY,
+    DIFFICULTY_LEVELS,
+    isDifficulty,
+    loadDifficulty,
+    saveDifficulty
+} from '../src/difficulty.js';
+import { FULL_ASSIST } from '../src/physics.js';
+
+function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('rookie keeps the full assistance', () => {
+    const rookie = DIFFICULTY_LEVELS.rookie;
+
+    assert.equal(DEFAULT_DIFFICULTY, 'rookie');
+    assert.deepEqual(rookie.assist, FULL_ASSIST);
+    assert.equal(rookie.manualAimOnly, false);
+    assert.equal(rookie.releaseError, 1);
+});
+
+test('each level is harder than the one before', () => {
+    const [rookie, pro, legend] = ['rookie', 'pro', 'legend'].map(key => DIFFICULTY_LEVELS[key]);
+
+    for (const [easier, harder] of [[rookie, pro], [pro, legend]]) {
+        assert.ok(harder.assist.heightBoost < easier.assist.heightBoost);
+        assert.ok(harder.releaseError > easier.releaseError);
+        assert.ok(harder.perfectWindow < easier.perfectWindow);
+        assert.ok(harder.scoringTolerance < easier.scoringTolerance);
+        assert.ok(harder.airResistance > easier.airResistance);
+    }
+});
+
+test('pro drops the close-range help and legend is manual aim only', () => {
+    assert.equal(DIFFICULTY_LEVELS.pro.assist.closeRange, false);
+    assert.equal(DIFFICULTY_LEVELS.pro.manualAimOnly, false);
+    assert.equal(DIFFICULTY_LEVELS.legend.assist.closeRange, false);
+    assert.equal(DIFFICULTY_LEVELS.legend.manualAimOnly, true);
+});
+
+test('isDifficulty only accepts the preset keys', () => {
+    assert.ok(isDifficulty('pro'));
+    assert.ok(!isDifficulty('Pro'));
+    assert.ok(!isDifficulty('constructor'));
+    assert.ok(!isDifficulty(undefined));
+});
+
+test('the saved level is remembered and unknown keys fall back to the default', () => {
+    const storage = createStorage();
+    assert.equal(loadDifficulty(storage), DEFAULT_DIFFICULTY);
+
+    saveDifficulty(storage, 'legend');
+    assert.equal(loadDifficulty(storage), 'legend');
+
+    saveDifficulty(storage, 'impossible');
+    assert.equal(loadDifficulty(storage), 'legend', 'unknown keys are not saved');
+
+    assert.equal(loadDifficulty(createStorage({ 'basketball-difficulty': 'impossible' })), DEFAULT_DIFFICULTY);
+});
+
+test('storage errors fall back to the default', () => {
+    const broken = {
+        getItem: () => { throw new Error('disabled'); },
+        setItem: () => { throw new Error('disabled'); }
+    };
+
+    assert.equal(loadDifficulty(broken), DEFAULT_DIFFICULTY);
+    assert.doesNotThrow(() => saveDifficulty(broken, 'pro'));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { FREE_THROW_POINTS, createFreeThrowRoutine, recordFreeThrow } from '../src/freethrows.js';
+import { parseModeDefinitions } from '../src/modes.js';
+
+const MODES = parseModeDefinitions(JSON.parse(fs.readFileSync(new URL('../game-modes.json', import.meta.url), 'utf8')));
+const STREAK = MODES['free-throw-streak'].freeThrow;
+const BEST_OF = MODES['free-throw-20'].freeThrow;
+
+function shoot(settings, results) {
+    return results.reduce((routine, made) => recordFreeThrow(routine, settings, made), createFreeThrowRoutine());
+}
+
+test('a free throw is worth 1 point', () => {
+    assert.equal(FREE_THROW_POINTS, 1);
+});
+
+test('10 in a row ends on the tenth straight make', () => {
+    const nine = shoot(STREAK, Array(9).fill(true));
+    assert.equal(nine.complete, false);
+
+    const ten = recordFreeThrow(nine, STREAK, true);
+    assert.equal(ten.complete, true);
+    assert.equal(ten.taken, 10);
+    assert.equal(ten.bestStreak, 10);
+});
+
+test('a miss starts the streak over', () => {
+    const routine = shoot(STREAK, [...Array(9).fill(true), false, ...Array(9).fill(true)]);
+
+    assert.equal(routine.complete, false);
+    assert.equal(routine.streak, 9);
+    assert.equal(routine.bestStreak, 9);
+    assert.equal(routine.taken, 19);
+    assert.equal(recordFreeThrow(routine, STREAK, true).complete, true);
+});
+
+test('best of 20 ends after 20 shots whatever they were', () => {
+    const results = Array.from({ length: 20 }, (_, index) => index % 3 !== 0);
+    const nineteen = shoot(BEST_OF, results.slice(0, 19));
+    assert.equal(nineteen.complete, false);
+
+    const twenty = recordFreeThrow(nineteen, BEST_OF, results[19]);
+    assert.equal(twenty.complete, true);
+    assert.equal(twenty.made, results.filter(Boolean).length);
+    assert.equal(shoot(BEST_OF, Array(20).fill(false)).complete, true);
+});
+
+test('a finished routine ignores further shots', () => {
+    const done = shoot(BEST_OF, Array(20).fill(true));
+    assert.equal(recordFreeThrow(done, BEST_OF, false), done);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseModeDefinitions, evaluateModeOutcome } from '../src/modes.js';
+
+const FILE = JSON.parse(fs.readFileSync(new URL('../game-modes.json', import.meta.url), 'utf8'));
+
+function parseOne(definition) {
+    return parseModeDefinitions({ modes: [{ key: 'drill', name: 'Drill', ...definition }] }).drill;
+}
+
+// =======
+// PARSING
+// =======
+
+test('the shipped game-modes.json parses in file order', () => {
+    const modes = parseModeDefinitions(FILE);
+
+    assert.deepEqual(Object.keys(modes), FILE.modes.map(mode => mode.key));
+    assert.equal(modes['free-shoot'].practice, true);
+    assert.equal(modes['timed-challenge'].timeLimit, 60);
+    assert.deepEqual(modes['free-throw-streak'].freeThrow, { routine: 'streak', target: 10 });
+});
+
+test('missing fields get their defaults', () => {
+    assert.deepEqual(parseOne({}), {
+        key: 'drill',
+        name: 'Drill',
+        description: '',
+        timeLimit: null,
+        showCountdown: false,
+        allowedZones: null,
+        pointsPerZone: null,
+        targetScore: null,
+        maxShots: null,
+        maxMisses: null,
+        practice: false,
+        twoPlayer: false,
+        horse: false,
+        aroundTheWorld: false,
+        freeThrow: null
+    });
+});
+
+test('zones, per-zone points and limits are kept', () => {
+    const mode = parseOne({
+        allowedZones: ['corner-three', 'in-the-paint'],
+        pointsPerZone: { 'corner-three': 4, 'all': 1 },
+        timeLimit: 45,
+        targetScore: 20,
+        maxShots: 15,
+        maxMisses: 3
+    });
+
+    assert.deepEqual(mode.allowedZones, ['corner-three', 'in-the-paint']);
+    assert.deepEqual(mode.pointsPerZone, { 'corner-three': 4, 'all': 1 });
+    assert.deepEqual([mode.timeLimit, mode.targetScore, mode.maxShots, mode.maxMisses], [45, 20, 15, 3]);
+});
+
+test('unknown zones are rejected', () => {
+    const zoneError = { message: 'Mode "drill": allowedZones must list known zones or zone groups' };
+    assert.throws(() => parseOne({ allowedZones: ['half-court'] }), zoneError);
+    assert.throws(() => parseOne({ allowedZones: ['constructor'] }), zoneError);
+    assert.throws(() => parseOne({ allowedZones: [] }), zoneError);
+    assert.throws(() => parseOne({ allowedZones: 'paint' }), zoneError);
+
+    const pointsError = { message: 'Mode "drill": pointsPerZone must map zones to 0-10 points' };
+    assert.throws(() => parseOne({ pointsPerZone: { 'half-court': 5 } }), pointsError);
+    assert.throws(() => parseOne({ pointsPerZone: { 'paint': 11 } }), pointsError);
+    assert.throws(() => parseOne({ pointsPerZone: { 'paint': 1.5 } }), pointsError);
+});
+
+test('bad limits are rejected', () => {
+    for (const field of ['timeLimit', 'targetScore', 'maxShots', 'maxMisses']) {
+        for (const value of [0, -5, 2.5, '10']) {
+            assert.throws(() => parseOne({ [field]: value }), { message: `Mode "drill": ${field} must be a positive whole number` });
+        }
+    }
+
+    assert.throws(() => parseOne({ freeThrow: { routine: 'streak' } }), { message: 'Mode "drill": a streak routine needs a target' });
+    assert.throws(() => parseOne({ freeThrow: { routine: 'best-of', shots: 0 } }),
+        { message: 'Mode "drill": a best-of routine needs a number of shots' });
+    assert.throws(() => parseOne({ freeThrow: { routine: 'forever' } }),
+        { message: 'Mode "drill": freeThrow.routine must be one of streak, best-of' });
+});
+
+test('bad files are rejected', () => {
+    assert.throws(() => parseModeDefinitions({ modes: [] }), { message: 'The mode file needs a non-empty "modes" list' });
+    assert.throws(() => parseModeDefinitions({ modes: [null] }), { message: 'Mode 1 is not an object' });
+    assert.throws(() => parseModeDefinitions({ modes: [{ key: 'Bad Key', name: 'x' }] }),
+        { message: 'Mode 1: key must be lower-case letters, digits and dashes' });
+    assert.throws(() => parseModeDefinitions({ modes: [{ key: 'a', name: 'A' }, { key: 'a', name: 'B' }] }),
+        { message: 'Mode "a" is defined twice' });
+    assert.throws(() => parseOne({ name: ' ' }), { message: 'Mode "drill": name is required' });
+});
+
+// ===================
+// WIN/LOSE CONDITIONS
+// ===================
+
+function progress(points, shotAttempts, misses = 0, timeUp = false) {
+    return { points, shotAttempts, misses, timeUp };
+}
+
+test('a mode without conditions never ends on its own', () => {
+    const mode = parseOne({});
+    assert.equal(evaluateModeOutcome(mode, progress(100, 50, 40)), null);
+    assert.equal(evaluateModeOutcome(mode, progress(100, 50, 40, true)), null);
+});
+
+test('reaching the target score wins', () => {
+    const mode = parseOne({ targetScore: 20, maxShots: 15 });
+
+    assert.equal(evaluateModeOutcome(mode, progress(18, 9)), null);
+    assert.deepEqual(evaluateModeOutcome(mode, progress(20, 10)), { won: true, reason: 'Reached 20 points in 10 shots' });
+});
+
+test('running out of shots loses with a target and wins without one', () => {
+    assert.deepEqual(evaluateModeOutcome(parseOne({ targetScore: 20, maxShots: 15 }), progress(14, 15)),
+        { won: false, reason: 'Out of shots - 14 of 20 points' });
+    assert.deepEqual(evaluateModeOutcome(parseOne({ maxShots: 15 }), progress(14, 15)),
+        { won: true, reason: '14 points from 15 shots' });
+});
+
+test('the miss limit loses', () => {
+    const mode = parseOne({ maxMisses: 3, maxShots: 10 });
+
+    assert.equal(evaluateModeOutcome(mode, progress(4, 4, 2)), null);
+    assert.deepEqual(evaluateModeOutcome(mode, progress(4, 5, 3)), { won: false, reason: '3 misses' });
+});
+
+test('when time runs out a target score decides the result', () => {
+    const mode = parseOne({ timeLimit: 45, targetScore: 20 });
+
+    assert.deepEqual(evaluateModeOutcome(mode, progress(20, 12, 0, true)), { won: true, reason: 'Reached 20 points' });
+    assert.deepEqual(evaluateModeOutcome(mode, progress(12, 12, 0, true)), { won: false, reason: 'Time\'s up - 12 of 20 points' });
+});
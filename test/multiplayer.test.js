@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocket } from 'ws';
+import { attachMultiplayer } from '../server/multiplayer.js';
+import { callShot, HOOPS } from '../server/shots.js';
+import { computeLaunchVelocity } from '../src/physics.js';
+
+const MODES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'game-modes.json');
+
+let server;
+let wss;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer();
+    wss = attachMultiplayer(server, { modesFile: MODES_FILE });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}/ws`;
+});
+
+after(() => {
+    wss.close();
+    server.close();
+});
+
+function launch(origin, power) {
+    return { origin, velocity: computeLaunchVelocity(origin, HOOPS.right.rim.center, power, 13.8), spin: { x: 0, y: 0, z: 0 } };
+}
+
+// a free throw that goes in and one that falls short (see test/physics.test.js)
+const MADE = launch({ x: 8.8, y: 0.45, z: 0 }, 70);
+const SHORT = launch({ x: 8.8, y: 0.45, z: 0 }, 0);
+
+function join(room) {
+    /*
+    connect to a room, returns the socket and a next(type) that resolves with the next message of that type
+    */
+
+    const socket = new WebSocket(`${baseUrl}?room=${room}`);
+    const received = [];
+    const waiting = [];
+
+    socket.on('message', data => {
+        received.push(JSON.parse(data.toString()));
+        waiting.splice(0).forEach(check => check());
+    });
+
+    function next(type) {
+        return new Promise(resolve => {
+            const check = () => {
+                const index = received.findIndex(message => message.type === type);
+                if (index === -1) return waiting.push(check);
+                resolve(received.splice(index, 1)[0]);
+            };
+            check();
+        });
+    }
+
+    return {
+        socket,
+        next,
+        send: message => socket.send(JSON.stringify(message)),
+        close: () => socket.close()
+    };
+}
+
+test('the server calls a launch made or missed with the game physics', () => {
+    assert.equal(callShot(MADE, 'rookie'), 'made');
+    assert.equal(callShot(SHORT, 'rookie'), 'missed');
+});
+
+test('two players join, a shot is relayed and scored, and both get the totals', async () => {
+    const home = join('match1');
+    assert.deepEqual(await home.next('welcome'),
+        { type: 'welcome', room: 'match1', side: 'home', scores: { home: 0, away: 0 }, opponentConnected: false });
+
+    const away = join('match1');
+    assert.equal((await away.next('welcome')).side, 'away');
+    await home.next('opponent-joined');
+
+    home.send({ type: 'shot', ...MADE, difficulty: 'pro', mode: 'free-shoot' });
+    const relayed = await away.next('shot');
+    assert.equal(relayed.side, 'home');
+    assert.equal(relayed.difficulty, 'pro');
+    assert.deepEqual(relayed.velocity, MADE.velocity);
+
+    home.send({ type: 'result', result: 'made' });
+    for (const player of [home, away]) {
+        assert.deepEqual(await player.next('score'),
+            { type: 'score', side: 'home', result: 'made', points: 2, scores: { home: 2, away: 0 } });
+    }
+
+    // a second result for the same shot is ignored, the next shot is the away player's
+    home.send({ type: 'result', result: 'made' });
+    away.send({ type: 'shot', ...launch({ x: 5, y: 0.45, z: 6.9 }, 70), mode: 'free-shoot' });
+    away.send({ type: 'result', result: 'missed' });
+    assert.deepEqual((await home.next('score')).scores, { home: 2, away: 0 });
+
+    home.close();
+    away.close();
+});
+
+test('a make the server did not see is overruled', async () => {
+    const home = join('match2');
+    await home.next('welcome');
+
+    home.send({ type: 'shot', ...SHORT, mode: 'free-shoot' });
+    home.send({ type: 'result', result: 'made' });
+
+    assert.deepEqual(await home.next('error'), { type: 'error', message: 'The server saw that shot miss' });
+    const score = await home.next('score');
+    assert.equal(score.result, 'missed');
+    assert.deepEqual(score.scores, { home: 0, away: 0 });
+
+    home.close();
+});
+
+test('shots from an unknown mode are not relayed or scored', async () => {
+    const home = join('match3');
+    await home.next('welcome');
+
+    home.send({ type: 'shot', ...MADE, mode: 'no-such-mode' });
+    assert.deepEqual(await home.next('error'), { type: 'error', message: 'Shot not counted - unknown game mode' });
+
+    home.send({ type: 'result', result: 'made' });
+    home.send({ type: 'shot', ...MADE, mode: 'constructor' });
+    assert.equal((await home.next('error')).message, 'Shot not counted - unknown game mode');
+
+    home.close();
+});
+
+test('a third player is turned away', async () => {
+    const players = [join('match4'), join('match4')];
+    await Promise.all(players.map(player => player.next('welcome')));
+
+    const third = join('match4');
+    assert.deepEqual(await third.next('error'), { type: 'error', message: 'Room is full' });
+
+    players.forEach(player => player.close());
+});
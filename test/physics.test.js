@@ -0,0 +1,260 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GRAVITY,
+    FULL_ASSIST,
+    computeLaunchVelocity,
+    computeLaunchSpin,
+    applyReleaseError,
+    stepBall,
+    findIdealPower
+} from '../src/physics.js';
+
+// the right-hand hoop as hw6.js builds it
+const RIGHT_HOOP = {
+    rim: { center: { x: 13.85, y: 6, z: 0 }, radius: 0.6, tubeRadius: 0.03 },
+    backboard: { min: { x: 14.45, y: 5.4, z: -1.3 }, max: { x: 14.55, y: 7.2, z: 1.3 } }
+};
+
+function createWorld(overrides = {}) {
+    return {
+        floorY: 0.45,
+        ballRadius: 0.35,
+        courtBounds: { minX: -14.5, maxX: 14.5, minZ: -7, maxZ: 7 },
+        hoops: { right: RIGHT_HOOP },
+        rimRestitution: 0.6,
+        backboardRestitution: 0.65,
+        contactFriction: 0.85,
+        ...overrides
+    };
+}
+
+function length(vector) {
+    return Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+}
+
+function shotGoesIn(origin, power, options = {}) {
+    /*
+    fly a shot at the right basket and report if it drops through the rim
+    */
+
+    const world = createWorld();
+    const rim = RIGHT_HOOP.rim.center;
+    const velocity = computeLaunchVelocity(origin, rim, power, 13.8, options.aim || null, options.assist || FULL_ASSIST);
+    let state = { position: { ...origin }, velocity, spin: options.spin || { x: 0, y: 0, z: 0 } };
+
+    for (let i = 0; i < 240 * 10; i++) {
+        const previousY = state.position.y;
+        const step = stepBall(state, 1 / 240, world);
+        state = step.state;
+
+        const fromRim = Math.hypot(state.position.x - rim.x, state.position.z - rim.z);
+        if (previousY >= rim.y && state.position.y < rim.y && fromRim < 0.45) return true;
+        if (step.atRest) return false;
+    }
+    return false;
+}
+
+// ===========
+// LAUNCH MATH
+// ===========
+
+test('computeLaunchVelocity heads towards the basket', () => {
+    const velocity = computeLaunchVelocity({ x: 8, y: 0.45, z: 2 }, RIGHT_HOOP.rim.center, 50, 13.8);
+
+    assert.ok(velocity.x > 0, 'moves towards the right basket');
+    assert.ok(velocity.y > 0, 'launched upwards');
+    assert.ok(Math.abs(velocity.z / velocity.x - (0 - 2) / (13.85 - 8)) < 1e-9, 'in line with the rim');
+});
+
+test('computeLaunchVelocity gets faster with more power', () => {
+    const origin = { x: 6, y: 0.45, z: 0 };
+    const slow = computeLaunchVelocity(origin, RIGHT_HOOP.rim.center, 20, 13.8);
+    const fast = computeLaunchVelocity(origin, RIGHT_HOOP.rim.center, 80, 13.8);
+
+    assert.ok(length(fast) > length(slow));
+});
+
+test('computeLaunchVelocity helps close shots only with the close-range assist', () => {
+    const origin = { x: 12, y: 5, z: 0 };
+    const assisted = computeLaunchVelocity(origin, RIGHT_HOOP.rim.center, 0, 13.8);
+    const unassisted = computeLaunchVelocity(origin, RIGHT_HOOP.rim.center, 0, 13.8, null, { closeRange: false, heightBoost: 1 });
+
+    assert.ok(length(assisted) > length(unassisted));
+});
+
+test('manual aim turns the shot and uses the chosen release angle', () => {
+    const origin = { x: 8, y: 0.45, z: 0 };
+    const aim = { horizontalOffset: 0.1, releaseAngle: Math.PI / 3 };
+    const velocity = computeLaunchVelocity(origin, RIGHT_HOOP.rim.center, 60, 13.8, aim, { closeRange: true, heightBoost: 0 });
+
+    assert.ok(Math.abs(Math.atan2(velocity.z, velocity.x) - 0.1) < 1e-9);
+    assert.ok(Math.abs(Math.atan2(velocity.y, Math.hypot(velocity.x, velocity.z)) - Math.PI / 3) < 1e-9);
+});
+
+test('applyReleaseError scales the speed and turns around the vertical axis', () => {
+    const velocity = { x: 10, y: 5, z: 0 };
+
+    assert.deepEqual(applyReleaseError(velocity, 0, 0), velocity);
+
+    const spoiled = applyReleaseError(velocity, 0.1, Math.PI / 2);
+    assert.ok(Math.abs(spoiled.x) < 1e-9);
+    assert.ok(Math.abs(spoiled.y - 5.5) < 1e-9);
+    assert.ok(Math.abs(spoiled.z - 11) < 1e-9);
+});
+
+test('computeLaunchSpin puts backspin across the flight and sidespin on the vertical axis', () => {
+    const spin = computeLaunchSpin({ x: 5, y: 8, z: 0 }, 12, 0);
+    assert.deepEqual(spin, { x: -0, y: 0, z: 12 });
+
+    assert.equal(computeLaunchSpin({ x: 5, y: 8, z: 0 }, 0, 10).y, 10);
+});
+
+// ===========
+// INTEGRATION
+// ===========
+
+test('stepBall applies gravity and air resistance', () => {
+    const world = createWorld({ hoops: {} });
+    const step = stepBall({ position: { x: 0, y: 3, z: 0 }, velocity: { x: 2, y: 0, z: 0 } }, 0.1, world);
+
+    assert.ok(step.state.velocity.y < 0);
+    assert.ok(Math.abs(step.state.velocity.y - GRAVITY * 0.1 * (1 - 0.018 * 0.1)) < 1e-9);
+    assert.ok(step.state.velocity.x < 2, 'air slows the ball');
+    assert.equal(step.contacts.floor, false);
+});
+
+test('stepBall does not change its input state', () => {
+    const state = { position: { x: 0, y: 3, z: 0 }, velocity: { x: 2, y: 0, z: 0 } };
+    stepBall(state, 0.1, createWorld());
+
+    assert.deepEqual(state, { position: { x: 0, y: 3, z: 0 }, velocity: { x: 2, y: 0, z: 0 } });
+});
+
+test('stepBall bounces off the floor with energy loss', () => {
+    const world = createWorld({ hoops: {} });
+    const step = stepBall({ position: { x: 0, y: 0.46, z: 0 }, velocity: { x: 3, y: -5, z: 0 } }, 1 / 60, world);
+
+    assert.equal(step.contacts.floor, true);
+    assert.equal(step.state.position.y, world.floorY);
+    assert.ok(step.state.velocity.y > 0 && step.state.velocity.y < 5);
+    assert.ok(step.state.velocity.x < 3, 'floor friction');
+});
+
+test('stepBall reports a ball at rest on the floor', () => {
+    let state = { position: { x: 0, y: 1, z: 0 }, velocity: { x: 1, y: 0, z: 0 } };
+    let atRest = false;
+
+    for (let i = 0; i < 240 * 10 && !atRest; i++) {
+        const step = stepBall(state, 1 / 240, createWorld({ hoops: {} }));
+        state = step.state;
+        atRest = step.atRest;
+    }
+    assert.ok(atRest);
+});
+
+test('stepBall keeps the ball inside the court', () => {
+    const world = createWorld({ hoops: {} });
+    const step = stepBall({ position: { x: 14.4, y: 3, z: 0 }, velocity: { x: 20, y: 0, z: 0 } }, 0.1, world);
+
+    assert.equal(step.contacts.wall, true);
+    assert.equal(step.state.position.x, world.courtBounds.maxX);
+    assert.ok(step.state.velocity.x < 0);
+});
+
+// ========
+// CONTACTS
+// ========
+
+test('a ball dropped on the rim is pushed out and bounces up', () => {
+    const rim = RIGHT_HOOP.rim.center;
+    const step = stepBall({
+        position: { x: rim.x - 0.6, y: rim.y + 0.36, z: 0 },
+        velocity: { x: 0, y: -3, z: 0 }
+    }, 1 / 240, createWorld());
+
+    assert.equal(step.contacts.rim, true);
+    assert.ok(step.state.velocity.y > 0);
+});
+
+test('a ball through the middle of the rim touches nothing', () => {
+    const rim = RIGHT_HOOP.rim.center;
+    const step = stepBall({
+        position: { x: rim.x, y: rim.y + 0.01, z: 0 },
+        velocity: { x: 0, y: -3, z: 0 }
+    }, 1 / 240, createWorld());
+
+    assert.equal(step.contacts.rim, false);
+    assert.equal(step.contacts.backboard, false);
+});
+
+test('a ball thrown at the backboard bounces back off its face', () => {
+    const board = RIGHT_HOOP.backboard;
+    const step = stepBall({
+        position: { x: board.min.x - 0.34, y: 6.5, z: 0 },
+        velocity: { x: 8, y: 0, z: 0 }
+    }, 1 / 240, createWorld());
+
+    assert.equal(step.contacts.backboard, true);
+    assert.ok(step.state.velocity.x < 0);
+    assert.ok(step.state.position.x <= board.min.x - 0.35 + 1e-9);
+});
+
+test('backspin checks the ball on a backboard contact', () => {
+    const board = RIGHT_HOOP.backboard;
+    const state = {
+        position: { x: board.min.x - 0.34, y: 6.5, z: 0 },
+        velocity: { x: 8, y: 2, z: 0 }
+    };
+    const plain = stepBall(state, 1 / 240, createWorld());
+    const spinning = stepBall({ ...state, spin: { x: 0, y: 0, z: 20 } }, 1 / 240, createWorld());
+
+    assert.notEqual(spinning.state.velocity.y, plain.state.velocity.y);
+    assert.notDeepEqual(plain.state.spin, { x: 0, y: 0, z: 0 }, 'the contact sets the ball spinning');
+});
+
+test('backspin lifts the ball in flight (Magnus force)', () => {
+    const world = createWorld({ hoops: {} });
+    const state = { position: { x: 0, y: 3, z: 0 }, velocity: { x: 8, y: 0, z: 0 } };
+    const plain = stepBall(state, 0.1, world);
+    const backspin = stepBall({ ...state, spin: { x: 0, y: 0, z: 12 } }, 0.1, world);
+
+    assert.ok(backspin.state.velocity.y > plain.state.velocity.y);
+});
+
+// ============
+// TRAJECTORIES
+// ============
+
+test('a free throw at the right power goes in', () => {
+    assert.equal(shotGoesIn({ x: 8.8, y: 0.45, z: 0 }, 70), true);
+});
+
+test('a free throw with no power falls short', () => {
+    assert.equal(shotGoesIn({ x: 8.8, y: 0.45, z: 0 }, 0), false);
+});
+
+test('a shot aimed well wide of the rim misses', () => {
+    const aim = { horizontalOffset: 0.3, releaseAngle: (70 * Math.PI) / 180 };
+    assert.equal(shotGoesIn({ x: 8.8, y: 0.45, z: 0 }, 55, { aim }), false);
+    assert.equal(shotGoesIn({ x: 8.8, y: 0.45, z: 0 }, 55, { aim: { ...aim, horizontalOffset: 0 } }), true);
+});
+
+test('findIdealPower finds a power that goes in from around the court', () => {
+    const rim = RIGHT_HOOP.rim.center;
+    const noSpin = { x: 0, y: 0, z: 0 };
+
+    for (const origin of [{ x: 8.8, y: 0.45, z: 0 }, { x: 6, y: 0.45, z: 3 }, { x: 12, y: 0.45, z: 1 }]) {
+        const launch = power => ({ velocity: computeLaunchVelocity(origin, rim, power, 13.8), spin: noSpin });
+        const power = findIdealPower(origin, rim, launch, createWorld());
+
+        assert.equal(shotGoesIn(origin, power), true, `power ${power} from x ${origin.x}, z ${origin.z}`);
+    }
+});
+
+test('findIdealPower returns null when no power reaches the rim', () => {
+    const origin = { x: 8.8, y: 0.45, z: 0 };
+    const launch = () => ({ velocity: { x: 1, y: 2, z: 0 }, spin: { x: 0, y: 0, z: 0 } });
+
+    assert.equal(findIdealPower(origin, RIGHT_HOOP.rim.center, launch, createWorld()), null);
+});
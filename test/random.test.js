@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed, getSeed, random, cosmeticRandom, seedFromQuery } from '../src/random.js';
+
+function draw(count, source = random) {
+    return Array.from({ length: count }, () => source());
+}
+
+test('the same seed gives the same sequence', () => {
+    setSeed(1234);
+    const first = draw(20);
+    setSeed(1234);
+
+    assert.deepEqual(draw(20), first);
+});
+
+test('different seeds give different sequences', () => {
+    setSeed(1234);
+    const first = draw(20);
+    setSeed(1235);
+
+    assert.notDeepEqual(draw(20), first);
+});
+
+test('values are in [0, 1)', () => {
+    setSeed(42);
+    for (const value of draw(1000)) {
+        assert.ok(value >= 0 && value < 1);
+    }
+});
+
+test('numeric seeds are used as-is and text seeds are hashed', () => {
+    assert.equal(setSeed('1234'), 1234);
+    assert.equal(getSeed(), 1234);
+
+    const hashed = setSeed('practice');
+    assert.equal(setSeed('practice'), hashed);
+    assert.notEqual(setSeed('practise'), hashed);
+});
+
+test('the cosmetic stream does not shift the seeded one', () => {
+    setSeed(7);
+    const plain = draw(10);
+
+    setSeed(7);
+    const mixed = [];
+    for (let i = 0; i < 10; i++) {
+        draw(3, cosmeticRandom);
+        mixed.push(random());
+    }
+
+    assert.deepEqual(mixed, plain);
+    setSeed(7);
+    assert.notDeepEqual(draw(10, cosmeticRandom), plain);
+});
+
+test('seedFromQuery uses ?seed= and picks a fresh seed without it', () => {
+    assert.equal(seedFromQuery('?seed=99'), 99);
+    assert.equal(getSeed(), 99);
+
+    const picked = seedFromQuery('');
+    assert.equal(getSeed(), picked);
+});
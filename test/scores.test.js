@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { createScoresRouter } from '../server/scores.js';
+import { LEADERBOARD_SIZE } from '../src/leaderboard.js';
+
+const MODES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'game-modes.json');
+
+let tempDir;
+let server;
+let baseUrl;
+let fileCount = 0;
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scores-test-'));
+
+    // each test gets its own scores file through /<name>/api
+    const app = express();
+    app.use('/:file/api', (req, res, next) => {
+        createScoresRouter(path.join(tempDir, req.params.file, 'scores.json'), MODES_FILE)(req, res, next);
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function createBoard() {
+    /*
+    a fresh scores file, returns its directory and helpers to call the API on it
+    */
+
+    const name = `board${++fileCount}`;
+    const url = `${baseUrl}/${name}/api/scores`;
+
+    return {
+        dir: path.join(tempDir, name),
+        get: query => fetch(`${url}?${new URLSearchParams(query)}`),
+        post: body => fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        })
+    };
+}
+
+const SCORE = { mode: 'timed-challenge', difficulty: 'rookie', initials: 'ABC', score: 24, accuracy: 60 };
+
+test('bad submissions are rejected with a 400', async () => {
+    const board = createBoard();
+    const cases = [
+        [{ ...SCORE, mode: 'no-such-mode' }, 'Unknown mode'],
+        [{ ...SCORE, difficulty: 'impossible' }, 'Unknown difficulty'],
+        [{ ...SCORE, initials: 'ABCD' }, 'Initials must be 1-3 letters or digits'],
+        [{ ...SCORE, initials: '' }, 'Initials must be 1-3 letters or digits'],
+        [{ ...SCORE, score: -1 }, 'Score must be an integer between 0 and 10000'],
+        [{ ...SCORE, score: 2.5 }, 'Score must be an integer between 0 and 10000'],
+        [{ ...SCORE, score: 10001 }, 'Score must be an integer between 0 and 10000'],
+        [{ ...SCORE, accuracy: 101 }, 'Accuracy must be an integer between 0 and 100'],
+        [{ ...SCORE, accuracy: '60' }, 'Accuracy must be an integer between 0 and 100']
+    ];
+
+    for (const [body, message] of cases) {
+        const response = await board.post(body);
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: message });
+    }
+
+    const malformed = await board.post('{"mode":');
+    assert.equal(malformed.status, 400);
+    assert.equal(fs.existsSync(board.dir), false, 'nothing was written');
+});
+
+test('a good submission is saved and ranked', async () => {
+    const board = createBoard();
+
+    const first = await board.post(SCORE);
+    assert.equal(first.status, 201);
+    const firstBody = await first.json();
+    assert.equal(firstBody.rank, 1);
+    assert.equal(firstBody.entries[0].initials, 'ABC');
+
+    const second = await (await board.post({ ...SCORE, initials: 'XYZ', score: 30 })).json();
+    assert.equal(second.rank, 1);
+    assert.deepEqual(second.entries.map(entry => entry.initials), ['XYZ', 'ABC']);
+
+    // each difficulty has its own table
+    const pro = await (await board.post({ ...SCORE, difficulty: 'pro', score: 5 })).json();
+    assert.equal(pro.rank, 1);
+    assert.equal(pro.entries.length, 1);
+});
+
+test('GET returns the table best first, trimmed to the leaderboard size', async () => {
+    const board = createBoard();
+    for (let score = 1; score <= LEADERBOARD_SIZE + 2; score++) {
+        await board.post({ ...SCORE, score });
+    }
+
+    const missing = await board.get({ difficulty: 'rookie' });
+    assert.equal(missing.status, 400);
+
+    const response = await board.get({ mode: 'timed-challenge', difficulty: 'rookie' });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.size, LEADERBOARD_SIZE);
+    assert.deepEqual(body.entries.map(entry => entry.score),
+        Array.from({ length: LEADERBOARD_SIZE }, (_, index) => LEADERBOARD_SIZE + 2 - index));
+
+    const last = await (await board.post({ ...SCORE, score: 1 })).json();
+    assert.equal(last.rank, 0, 'did not make the cut');
+});
+
+test('a failing write returns a 500 instead of a rank', async t => {
+    t.mock.method(console, 'error', () => {});
+    const board = createBoard();
+    assert.equal((await board.post(SCORE)).status, 201);
+
+    // the write goes through a temp file - make it impossible to create
+    fs.mkdirSync(path.join(board.dir, 'scores.json.tmp'));
+
+    const response = await board.post({ ...SCORE, score: 50 });
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Scores are unavailable right now' });
+
+    const table = await (await board.get({ mode: 'timed-challenge', difficulty: 'rookie' })).json();
+    assert.deepEqual(table.entries.map(entry => entry.score), [24]);
+});
+
+test('an unreadable scores file returns a 500 and is left as it is', async t => {
+    t.mock.method(console, 'error', () => {});
+    const board = createBoard();
+    fs.mkdirSync(board.dir);
+    fs.writeFileSync(path.join(board.dir, 'scores.json'), '{ not json');
+
+    assert.equal((await board.get({ mode: 'timed-challenge', difficulty: 'rookie' })).status, 500);
+    assert.equal((await board.post(SCORE)).status, 500);
+    assert.equal(fs.readFileSync(path.join(board.dir, 'scores.json'), 'utf8'), '{ not json');
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { serializeSession, parseSession } from '../src/session.js';
+
+function createAttempt(result, points) {
+    return {
+        mode: 'head-to-head',
+        difficulty: 'pro',
+        origin: { x: 8.8, z: 0 },
+        targetBasket: { x: 13.85, y: 6, z: 0 },
+        power: 70,
+        result: result,
+        points: points,
+        takenAt: 1700000001000,
+        resolvedAt: 1700000002000
+    };
+}
+
+function createSession() {
+    return {
+        startedAt: 1700000000000,
+        seed: 1234,
+        stats: { shotAttempts: 4, shotsMade: 2, points: 5, turnovers: 1 },
+        freeThrows: { attempts: 3, made: 2 },
+        headToHead: {
+            current: 1,
+            players: [
+                { shotAttempts: 2, shotsMade: 1, points: 2, turnovers: 0, shotHistory: [] },
+                { shotAttempts: 4, shotsMade: 2, points: 5, turnovers: 1, shotHistory: [] }
+            ]
+        },
+        scores: { home: 2, away: 5 },
+        attempts: [
+            createAttempt('made', 2),
+            createAttempt('made', 3),
+            createAttempt('missed', 0),
+            createAttempt('missed', 0)
+        ],
+        replays: [{
+            attemptIndex: 0,
+            duration: 1,
+            frames: [{ t: 0, position: { x: 8.8, y: 0.45, z: 0 }, quaternion: { x: 0, y: 0, z: 0, w: 1 }, velocity: { x: 5, y: 8, z: 0 } }]
+        }]
+    };
+}
+
+test('a session survives the round trip with free throw, head-to-head and turnover totals', () => {
+    const session = parseSession(serializeSession(createSession()));
+
+    assert.deepEqual(session.stats, { shotAttempts: 4, shotsMade: 2, points: 5, turnovers: 1 });
+    assert.deepEqual(session.freeThrows, { attempts: 3, made: 2 });
+    assert.deepEqual(session.headToHead, {
+        current: 1,
+        players: [
+            { shotAttempts: 2, shotsMade: 1, points: 2, turnovers: 0 },
+            { shotAttempts: 4, shotsMade: 2, points: 5, turnovers: 1 }
+        ]
+    });
+    assert.equal(session.attempts[0].difficulty, 'pro');
+});
+
+test('sessions are written without indentation', () => {
+    assert.ok(!serializeSession(createSession()).includes('\n'));
+});
+
+test('an export from before the totals were saved still imports', () => {
+    const data = JSON.parse(serializeSession(createSession()));
+    delete data.freeThrows;
+    delete data.headToHead;
+    delete data.stats.turnovers;
+    delete data.attempts[0].difficulty;
+
+    const session = parseSession(JSON.stringify(data));
+    assert.equal(session.stats.turnovers, 0);
+    assert.deepEqual(session.freeThrows, { attempts: 0, made: 0 });
+    assert.equal(session.headToHead, null);
+    assert.equal(session.attempts[0].difficulty, null);
+});
+
+test('entries that are not objects are reported, not thrown as TypeErrors', () => {
+    const data = JSON.parse(serializeSession(createSession()));
+
+    assert.throws(() => parseSession(JSON.stringify({ ...data, attempts: [null] })), { message: 'Attempt 1 is invalid' });
+    assert.throws(() => parseSession(JSON.stringify({ ...data, replays: [null] })), { message: 'Replay 1 is invalid' });
+    assert.throws(() => parseSession(JSON.stringify({ ...data, headToHead: { current: 0, players: [null, null] } })),
+        { message: 'Session head-to-head stats are invalid' });
+});
+
+test('replay frames keep the ball orientation as a quaternion', () => {
+    const session = createSession();
+    session.replays[0].frames[0].quaternion = { x: 0.5, y: -0.5, z: 0.5, w: 0.5 };
+
+    const frame = parseSession(serializeSession(session)).replays[0].frames[0];
+    assert.deepEqual(frame.quaternion, { x: 0.5, y: -0.5, z: 0.5, w: 0.5 });
+});
+
+test('replays from older exports have their Euler rotation converted', () => {
+    const data = JSON.parse(serializeSession(createSession()));
+    const frame = data.replays[0].frames[0];
+    delete frame.quaternion;
+    frame.rotation = { x: 3, y: -1.2, z: 0.4 };
+
+    const converted = parseSession(JSON.stringify(data)).replays[0].frames[0].quaternion;
+    const expected = new THREE.Quaternion().setFromEuler(new THREE.Euler(3, -1.2, 0.4));
+    for (const key of ['x', 'y', 'z', 'w']) {
+        assert.ok(Math.abs(converted[key] - expected[key]) < 1e-9);
+    }
+});
+
+test('impossible totals are rejected', () => {
+    const data = JSON.parse(serializeSession(createSession()));
+    const withStats = stats => JSON.stringify({ ...data, stats: { ...data.stats, ...stats } });
+
+    assert.throws(() => parseSession(withStats({ shotsMade: 5 })), { message: 'Session stats are missing or invalid' });
+    assert.throws(() => parseSession(withStats({ shotAttempts: 5, shotsMade: 3 })), { message: 'Session totals do not match the attempts' });
+    assert.throws(() => parseSession(withStats({ points: 6 })), { message: 'Session totals do not match the attempts' });
+    assert.throws(() => parseSession(JSON.stringify({ ...data, freeThrows: { attempts: 5, made: 1 } })),
+        { message: 'Session totals do not match the attempts' });
+
+    const players = data.headToHead.players.map(player => ({ ...player }));
+    players[0].shotsMade = 3;
+    assert.throws(() => parseSession(JSON.stringify({ ...data, headToHead: { ...data.headToHead, players } })),
+        { message: 'Session head-to-head stats are invalid' });
+});
+
+test('attempt points must match the result', () => {
+    const data = JSON.parse(serializeSession(createSession()));
+    const withAttempt = attempt => JSON.stringify({ ...data, attempts: [attempt, ...data.attempts.slice(1)] });
+
+    assert.throws(() => parseSession(withAttempt(createAttempt('missed', 2))), { message: 'Attempt 1 is invalid' });
+    assert.throws(() => parseSession(withAttempt(createAttempt('made', 0))), { message: 'Attempt 1 is invalid' });
+    assert.throws(() => parseSession(withAttempt(createAttempt(null, 2))), { message: 'Attempt 1 is invalid' });
+    assert.throws(() => parseSession(withAttempt(createAttempt('made', 2.5))), { message: 'Attempt 1 is invalid' });
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHOT_ZONES, isZoneName, classifyShotZone, zoneInList, pointsForZone, zoneStatistics } from '../src/zones.js';
+
+const RIGHT = { x: 13.85, z: 0 };
+const LEFT = { x: -13.85, z: 0 };
+
+function zoneAt(outFromBasket, lateral, basket = RIGHT) {
+    /*
+    classify a shot given in metres out from the basket (towards half court) and to the side
+    */
+
+    const side = basket.x >= 0 ? 1 : -1;
+    return classifyShotZone({ x: basket.x - side * outFromBasket, z: basket.z + lateral }, basket);
+}
+
+// ==============
+// CLASSIFICATION
+// ==============
+
+test('the restricted area ends 1.25m from the rim, then the paint starts', () => {
+    assert.equal(zoneAt(1.25, 0), 'restricted-area');
+    assert.equal(zoneAt(0, 1.25), 'restricted-area');
+    assert.equal(zoneAt(1.26, 0), 'paint');
+    assert.equal(zoneAt(0, 1.26), 'paint');
+    assert.equal(zoneAt(-0.5, 0), 'restricted-area', 'under the rim, behind the centre');
+});
+
+test('the paint ends at the free throw line and the edges of the key', () => {
+    assert.equal(zoneAt(4.64, 0), 'paint');
+    assert.equal(zoneAt(4.66, 0), 'mid-range');
+    assert.equal(zoneAt(2, 1.8), 'paint');
+    assert.equal(zoneAt(2, -1.81), 'mid-range');
+});
+
+test('the three-point arc is 6.75m out', () => {
+    assert.equal(zoneAt(6.75, 0), 'mid-range');
+    assert.equal(zoneAt(6.76, 0), 'top-of-key-three');
+});
+
+test('corner threes end 4.2m from the baseline, then the wing starts', () => {
+    assert.equal(zoneAt(3.05, 6.8), 'corner-three');
+    assert.equal(zoneAt(3.05, -6.8), 'corner-three');
+    assert.equal(zoneAt(3.06, 6.8), 'wing-three');
+    assert.equal(zoneAt(3.05, 6), 'mid-range', 'inside the arc in the corner');
+});
+
+test('the top of the key is within 30 degrees of straight out', () => {
+    assert.equal(zoneAt(7, 4), 'top-of-key-three');
+    assert.equal(zoneAt(7, -4.1), 'wing-three');
+});
+
+test('shots at the left basket are mirrored', () => {
+    assert.equal(zoneAt(3.05, 6.8, LEFT), 'corner-three');
+    assert.equal(zoneAt(3.06, 6.8, LEFT), 'wing-three');
+    assert.equal(zoneAt(1.25, 0, LEFT), 'restricted-area');
+    assert.equal(zoneAt(4.66, 0, LEFT), 'mid-range');
+});
+
+// ================
+// NAMES AND POINTS
+// ================
+
+test('zone and group names', () => {
+    assert.ok(isZoneName('corner-three'));
+    assert.ok(isZoneName('above-break-three'));
+    assert.ok(!isZoneName('half-court'));
+    assert.ok(!isZoneName('toString'));
+
+    assert.ok(zoneInList('wing-three', ['above-break-three']));
+    assert.ok(zoneInList('paint', ['mid-range', 'paint']));
+    assert.ok(!zoneInList('corner-three', ['above-break-three', 'two-point']));
+});
+
+test('an exact zone entry wins over a group, otherwise the default applies', () => {
+    assert.equal(pointsForZone('corner-three', null), 3);
+    assert.equal(pointsForZone('paint', { 'mid-range': 1 }), 2);
+    assert.equal(pointsForZone('wing-three', { 'three-point': 4 }), 4);
+    assert.equal(pointsForZone('corner-three', { 'three-point': 4, 'corner-three': 5 }), 5);
+    assert.equal(pointsForZone('paint', { 'all': 1, 'in-the-paint': 3 }), 3);
+});
+
+// ==========
+// STATISTICS
+// ==========
+
+test('FG%, eFG% and streaks per zone', () => {
+    const stats = zoneStatistics([
+        { zone: 'corner-three', result: 'made' },
+        { zone: 'corner-three', result: 'made' },
+        { zone: 'corner-three', result: 'missed' },
+        { zone: 'corner-three', result: 'made' },
+        { zone: 'paint', result: 'made' },
+        { zone: 'paint', result: 'missed' },
+        { zone: 'unknown', result: 'made' }
+    ]);
+
+    assert.deepEqual(Object.keys(stats), Object.keys(SHOT_ZONES));
+    assert.deepEqual(stats['corner-three'], { attempts: 4, made: 3, fgPercentage: 75, efgPercentage: 113, streak: 1, bestStreak: 2 });
+    assert.deepEqual(stats['paint'], { attempts: 2, made: 1, fgPercentage: 50, efgPercentage: 50, streak: 0, bestStreak: 1 });
+    assert.deepEqual(stats['mid-range'], { attempts: 0, made: 0, fgPercentage: 0, efgPercentage: 0, streak: 0, bestStreak: 0 });
+});